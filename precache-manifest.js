@@ -0,0 +1,68 @@
+// Generated by scripts/precache-manifest.js; do not edit. Files the service worker (sw.js) stores, by cache group.
+self.PRECACHE_MANIFEST = {
+  "shell": {
+    "version": "f7d37d6a9c",
+    "files": [
+      "./",
+      "assets/favicon.svg",
+      "index.html",
+      "src/js/analytics.js",
+      "src/js/brainCapture.js",
+      "src/js/brainConfig.js",
+      "src/js/brainCore.js",
+      "src/js/brainFallback2d.js",
+      "src/js/brainInteraction.js",
+      "src/js/brainModel.js",
+      "src/js/brainPathways.js",
+      "src/js/brainScene.js",
+      "src/js/brainScene.worker.js",
+      "src/js/brainSceneProxy.js",
+      "src/js/brainTheme.js",
+      "src/js/canvasVisibility.js",
+      "src/js/debugHud.js",
+      "src/js/emailValidation.js",
+      "src/js/emitter.js",
+      "src/js/geometryCache.js",
+      "src/js/i18n.js",
+      "src/js/main.js",
+      "src/js/memoryGraph.js",
+      "src/js/meshFormat.js",
+      "src/js/motionPreference.js",
+      "src/js/objParser.js",
+      "src/js/objParser.worker.js",
+      "src/js/perfTimeline.js",
+      "src/js/proceduralBrain.js",
+      "src/js/qualityGovernor.js",
+      "src/js/random.js",
+      "src/js/reinforceLine.js",
+      "src/js/revealModes.js",
+      "src/js/serviceWorker.js",
+      "src/js/surfaceSampler.js",
+      "src/js/surfaceSampler.worker.js",
+      "src/js/waitlistAttribution.js",
+      "src/js/waitlistForm.js",
+      "src/js/waitlistProviders.js",
+      "src/js/waitlistQueue.js",
+      "src/js/waitlistStatus.js",
+      "src/locales/ar.json",
+      "src/locales/es.json",
+      "src/styles/base.css",
+      "src/styles/theme.css"
+    ]
+  },
+  "vendor": {
+    "version": "1e1cd535c6",
+    "files": [
+      "src/vendor/gsap@3.12.5/dist/gsap.min.js",
+      "src/vendor/three@0.160.0/build/three.module.js",
+      "src/vendor/three@0.160.0/examples/jsm/controls/OrbitControls.js"
+    ]
+  },
+  "model": {
+    "version": "81dae22f9d",
+    "files": [
+      "assets/models/brain.mkm",
+      "assets/models/BrainUVs.obj"
+    ]
+  }
+};
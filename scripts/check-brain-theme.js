@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Checks that the default brain scene follows the page theme: with --mk-brain-pathway / --mk-brain-node set on
+ * the canvas, every pathway line and the region nodes of DEFAULT_BRAIN_CONFIG take those colors (WebGL network,
+ * brainPathways.js) and are marked `themed` for the 2D fallback. Runs in Node against a minimal stand-in for the
+ * computed style, so it needs no browser. Exits 1 listing what didn't follow.
+ *
+ *   npm run check-brain-theme
+ */
+const CUSTOM_PROPERTIES = { "--mk-brain-pathway": "#ff3366", "--mk-brain-node": "#33ff99" };
+
+// Just enough DOM for readBrainTheme: custom properties on the "canvas", hex colors parsed without a 2D context
+globalThis.document = { createElement: () => ({ getContext: () => null }) };
+globalThis.getComputedStyle = () => ({ getPropertyValue: (name) => CUSTOM_PROPERTIES[name] ?? "" });
+
+const { DEFAULT_BRAIN_CONFIG, validateBrainConfig } = await import("../src/js/brainConfig.js");
+const { readBrainTheme } = await import("../src/js/brainTheme.js");
+const { createPathwayNetwork } = await import("../src/js/brainPathways.js");
+
+const config = validateBrainConfig(DEFAULT_BRAIN_CONFIG);
+const theme = readBrainTheme({});
+const network = createPathwayNetwork(config);
+network.setTheme(theme);
+
+const problems = [];
+const hex = (color) => `#${color.getHexString()}`;
+if (theme.pathway !== CUSTOM_PROPERTIES["--mk-brain-pathway"] || theme.node !== CUSTOM_PROPERTIES["--mk-brain-node"]) {
+  problems.push(`theme: custom properties not read (${JSON.stringify(theme)})`);
+}
+network.pathways.forEach(({ line, connection }, i) => {
+  const name = `pathway ${i} (${connection.from} → ${connection.to})`;
+  if (!connection.themed) problems.push(`${name}: not themed`);
+  if (hex(line.material.color) !== theme.pathway) problems.push(`${name}: ${hex(line.material.color)}, expected ${theme.pathway}`);
+});
+if (!config.nodes.themed) problems.push("nodes: not themed");
+if (hex(network.nodeMaterial.color) !== theme.node) problems.push(`nodes: ${hex(network.nodeMaterial.color)}, expected ${theme.node}`);
+network.dispose();
+
+if (problems.length) {
+  console.error(`check-brain-theme: the default scene ignores the theme:\n  ${problems.join("\n  ")}`);
+  process.exit(1);
+}
+console.log(`check-brain-theme: ${network.pathways.length} pathways and the nodes follow --mk-brain-pathway / --mk-brain-node`);
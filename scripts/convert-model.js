@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Converts an OBJ into the compact .mkm binary format loaded by brainScene.js.
+ *
+ *   npm run convert-model -- assets/models/BrainUVs.obj [assets/models/brain.mkm] [--step 8] [--quantize] [--no-normals]
+ *
+ * --step N      keep every N-th vertex (precomputed decimation for the points cloud)
+ * --quantize    store positions as u16 within the bounding box and normals as i8
+ * --no-normals  drop normals (the scan shader only needs positions)
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { parseObj } from "../src/js/objParser.js";
+import { computeBounds, encodeMesh } from "../src/js/meshFormat.js";
+
+function usage(message) {
+  if (message) console.error(`convert-model: ${message}`);
+  console.error("Usage: convert-model <input.obj> [output.mkm] [--step N] [--quantize] [--no-normals]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { input: null, output: null, step: 1, quantize: false, normals: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--quantize") opts.quantize = true;
+    else if (arg === "--no-normals") opts.normals = false;
+    else if (arg === "--step") {
+      opts.step = Number(argv[++i]);
+      if (!Number.isInteger(opts.step) || opts.step < 1) usage("--step must be a positive integer");
+    } else if (arg.startsWith("--")) usage(`unknown option ${arg}`);
+    else if (!opts.input) opts.input = arg;
+    else if (!opts.output) opts.output = arg;
+    else usage(`unexpected argument ${arg}`);
+  }
+  if (!opts.input) usage();
+  opts.output ??= opts.input.replace(/\.obj$/i, "") + ".mkm";
+  return opts;
+}
+
+function decimate(array, step) {
+  if (step === 1) return array;
+  const count = Math.ceil(array.length / 3 / step);
+  const out = new Float32Array(count * 3);
+  for (let i = 0, j = 0; j < count; i += step, j++) {
+    out[j * 3] = array[i * 3];
+    out[j * 3 + 1] = array[i * 3 + 1];
+    out[j * 3 + 2] = array[i * 3 + 2];
+  }
+  return out;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const text = await readFile(opts.input, "utf8");
+const { positions, normals, groups, diagnostics, diagnosticCount } = parseObj(text);
+const sourceCount = positions.length / 3;
+if (diagnosticCount) {
+  console.warn(`${opts.input}: ${diagnosticCount} problem(s) skipped`);
+  for (const { line, message } of diagnostics.slice(0, 10)) console.warn(`  line ${line}: ${message}`);
+  if (diagnosticCount > 10) console.warn(`  … and ${diagnosticCount - 10} more`);
+}
+if (sourceCount === 0) usage(`no faces found in ${opts.input}`);
+
+const buffer = encodeMesh({
+  positions: decimate(positions, opts.step),
+  normals: opts.normals ? decimate(normals, opts.step) : null,
+  quantize: opts.quantize,
+  step: opts.step,
+  sourceCount,
+  bounds: computeBounds(positions),
+});
+await writeFile(opts.output, new Uint8Array(buffer));
+
+const inKb = Buffer.byteLength(text) / 1024;
+const outKb = buffer.byteLength / 1024;
+console.log(`${opts.input} → ${opts.output}`);
+if (groups.length > 1) console.log(`  groups: ${groups.map((g) => g.name).join(", ")} (not stored in .mkm)`);
+console.log(`  vertices: ${sourceCount} → ${Math.ceil(sourceCount / opts.step)} (step ${opts.step})`);
+console.log(`  size: ${inKb.toFixed(0)} KB → ${outKb.toFixed(0)} KB (${((outKb / inKb) * 100).toFixed(1)}%)${opts.quantize ? ", quantized" : ""}`);
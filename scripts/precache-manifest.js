@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Writes precache-manifest.js, the list of files the service worker (sw.js) stores for offline visits, with a
+ * content hash per group. The hashes name the caches, so a deploy that changes a file ships new caches and
+ * the old ones are dropped when the new worker activates. Run before every deploy that changes a listed file.
+ *
+ *   npm run precache-manifest
+ *
+ * Groups: shell (page, styles, scripts, locales), vendor (src/vendor/, see vendor-deps.js), model (brain
+ * models; best-effort, since they may be deployed separately from the repo).
+ */
+import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { extname, join, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = resolve(fileURLToPath(import.meta.url), "../..");
+const OUTPUT = "precache-manifest.js";
+const SHELL = ["index.html", "assets/favicon.svg", { dir: "src/styles", ext: ".css" }, { dir: "src/js", ext: ".js" }, { dir: "src/locales", ext: ".json" }];
+const VENDOR = [{ dir: "src/vendor", ext: ".js" }];
+const MODEL = ["assets/models/brain.mkm", "assets/models/BrainUVs.obj"]; // brainScene.js MODEL_URL / OBJ_URL
+
+async function listDir(dir, ext) {
+  const entries = await readdir(join(ROOT, dir), { withFileTypes: true, recursive: true });
+  return entries
+    .filter((entry) => entry.isFile() && extname(entry.name) === ext)
+    .map((entry) => relative(ROOT, join(entry.parentPath ?? entry.path, entry.name)).split("\\").join("/"));
+}
+
+async function expand(specs) {
+  const files = [];
+  for (const spec of specs) files.push(...(typeof spec === "string" ? [spec] : await listDir(spec.dir, spec.ext)));
+  return files.sort();
+}
+
+/** Short hash over paths and contents; missing files (optional model) count by name only. */
+async function hashFiles(files) {
+  const hash = createHash("sha256");
+  for (const file of files) {
+    hash.update(`${file}\0`);
+    hash.update(await readFile(join(ROOT, file)).catch(() => ""));
+  }
+  return hash.digest("hex").slice(0, 10);
+}
+
+const groups = { shell: await expand(SHELL), vendor: await expand(VENDOR), model: MODEL };
+const manifest = {};
+for (const [name, files] of Object.entries(groups)) manifest[name] = { version: await hashFiles(files), files };
+// The page is also requested as the directory
+manifest.shell.files.unshift("./");
+
+await writeFile(
+  join(ROOT, OUTPUT),
+  `// Generated by scripts/precache-manifest.js; do not edit. Files the service worker (sw.js) stores, by cache group.\nself.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`
+);
+console.log(`${OUTPUT}`);
+for (const [name, { version, files }] of Object.entries(manifest)) console.log(`  ${name}: ${files.length} files, version ${version}`);
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Regenerates assets/og_image.png from the page in capture mode (src/js/brainCapture.js): the brain is put at a
+ * fixed time on its fixed-timestep clock and the page is screenshotted, so the image only changes when the page
+ * does. Drives headless Chrome through puppeteer-core, on SwiftShader (software WebGL) by default so the GPU
+ * and driver don't change the pixels.
+ *
+ *   npm run render-og-image -- [--out assets/og_image.png] [--time reveal+2] [--width 1200] [--height 630]
+ *                              [--scale 1] [--brain-only] [--gpu] [--chrome /path/to/chrome]
+ *
+ * --time        seconds since the reveal started, "reveal[+s]" or "cycle:<fraction>"
+ * --brain-only  just the brain canvas, rendered at width × height, instead of the page
+ * --gpu         use the machine's GPU (faster; pixels may differ between machines)
+ * --chrome      Chrome/Chromium binary; defaults to $CHROME_PATH or $PUPPETEER_EXECUTABLE_PATH
+ * The page loads its web font from Google Fonts, so this needs network access.
+ */
+import { createServer } from "node:http";
+import { readFile, writeFile } from "node:fs/promises";
+import { extname, join, normalize, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import puppeteer from "puppeteer-core";
+
+const ROOT = resolve(fileURLToPath(import.meta.url), "../..");
+const TIMEOUT_MS = 120_000; // software WebGL plus surface sampling is slow on small machines
+const SWIFTSHADER_ARGS = ["--use-angle=swiftshader", "--enable-unsafe-swiftshader", "--ignore-gpu-blocklist"];
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".obj": "text/plain",
+  ".mkm": "application/octet-stream",
+};
+
+function usage(message) {
+  if (message) console.error(`render-og-image: ${message}`);
+  console.error("Usage: render-og-image [--out file.png] [--time t] [--width N] [--height N] [--scale N] [--brain-only] [--gpu] [--chrome path]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = {
+    out: "assets/og_image.png",
+    time: "reveal+2",
+    width: 1200,
+    height: 630,
+    scale: 1,
+    brainOnly: false,
+    gpu: false,
+    chrome: process.env.CHROME_PATH ?? process.env.PUPPETEER_EXECUTABLE_PATH ?? null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--brain-only") opts.brainOnly = true;
+    else if (arg === "--gpu") opts.gpu = true;
+    else if (arg === "--out" || arg === "--time" || arg === "--chrome") {
+      opts[arg.slice(2)] = argv[++i];
+      if (!opts[arg.slice(2)]) usage(`${arg} needs a value`);
+    } else if (arg === "--width" || arg === "--height" || arg === "--scale") {
+      const value = Number(argv[++i]);
+      if (!(value > 0)) usage(`${arg} must be a positive number`);
+      opts[arg.slice(2)] = value;
+    } else usage(`unknown option ${arg}`);
+  }
+  if (!opts.chrome) usage("no Chrome binary: pass --chrome or set CHROME_PATH");
+  return opts;
+}
+
+/** Static file server over the repo root, on a free local port. */
+function serve(root) {
+  const server = createServer(async (request, response) => {
+    const path = normalize(decodeURIComponent(new URL(request.url, "http://localhost").pathname));
+    const file = join(root, path.endsWith("/") ? `${path}index.html` : path);
+    if (!file.startsWith(root)) {
+      response.writeHead(403).end();
+      return;
+    }
+    try {
+      const body = await readFile(file);
+      response.writeHead(200, { "Content-Type": MIME_TYPES[extname(file)] ?? "application/octet-stream" }).end(body);
+    } catch {
+      response.writeHead(404).end();
+    }
+  });
+  return new Promise((done) => server.listen(0, "127.0.0.1", () => done(server)));
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const server = await serve(ROOT);
+const browser = await puppeteer.launch({
+  executablePath: opts.chrome,
+  headless: true,
+  args: opts.gpu ? [] : SWIFTSHADER_ARGS,
+});
+
+try {
+  const page = await browser.newPage();
+  page.setDefaultTimeout(TIMEOUT_MS);
+  page.on("pageerror", (error) => console.error(`  page error: ${error.message}`));
+  await page.setViewport({ width: opts.width, height: opts.height, deviceScaleFactor: opts.scale });
+
+  // Fresh profile and no geometry cache, so every run loads the model the same way
+  const query = new URLSearchParams({ capture: "1", nocache: "1", time: opts.time, dpr: opts.scale });
+  if (opts.brainOnly) {
+    query.set("width", opts.width);
+    query.set("height", opts.height);
+  }
+  const { port } = server.address();
+  await page.goto(`http://127.0.0.1:${port}/index.html?${query}`, { waitUntil: "networkidle0", timeout: TIMEOUT_MS });
+
+  const result = await page.evaluate(async (brainOnly) => {
+    const capture = await window.__brainCapture;
+    await document.fonts.ready;
+    const clock = capture.clock;
+    if (!brainOnly) return { clock };
+    const blob = await capture.still(clock.time);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return { clock, png: btoa(binary) };
+  }, opts.brainOnly);
+
+  if (result.png) await writeFile(opts.out, Buffer.from(result.png, "base64"));
+  else await page.screenshot({ path: opts.out, type: "png" });
+
+  const { time, frame, fps, scanDuration } = result.clock;
+  console.log(`render-og-image → ${opts.out}`);
+  console.log(`  ${opts.width}×${opts.height} @${opts.scale}x, ${opts.brainOnly ? "brain only" : "page"}, ${opts.gpu ? "GPU" : "SwiftShader"}`);
+  console.log(`  t = ${time.toFixed(3)}s (frame ${frame} @ ${fps} fps; reveal ends at ${scanDuration.toFixed(2)}s)`);
+} finally {
+  await browser.close();
+  server.close();
+}
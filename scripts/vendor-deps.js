@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Copies the page's third-party modules (three.js, OrbitControls, GSAP) out of their npm packages into
+ * src/vendor/, so the site serves them itself and the service worker can precache them. Tarballs are checked
+ * against the registry's integrity hash. Re-run after bumping a version below, then update the import paths
+ * in src/js and index.html and run `npm run precache-manifest`.
+ *
+ *   npm run vendor-deps
+ *
+ * Bare `three` imports in the three.js examples are rewritten to relative paths: workers have no import map.
+ */
+import { createHash } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import { dirname, join, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { gunzipSync } from "node:zlib";
+
+const ROOT = resolve(fileURLToPath(import.meta.url), "../..");
+const VENDOR_DIR = join(ROOT, "src/vendor");
+const REGISTRY = "https://registry.npmjs.org";
+const THREE_ENTRY = "build/three.module.js";
+
+const PACKAGES = [
+  { name: "three", version: "0.160.0", files: [THREE_ENTRY, "examples/jsm/controls/OrbitControls.js", "LICENSE"] },
+  { name: "gsap", version: "3.12.5", files: ["dist/gsap.min.js"] },
+];
+
+function fail(message) {
+  console.error(`vendor-deps: ${message}`);
+  process.exit(1);
+}
+
+async function fetchOk(url) {
+  const res = await fetch(url);
+  if (!res.ok) fail(`${url} → HTTP ${res.status}`);
+  return res;
+}
+
+/** Downloads name@version from the registry and checks it against the published integrity hash. */
+async function fetchTarball(name, version) {
+  const { dist } = await (await fetchOk(`${REGISTRY}/${name}/${version}`)).json();
+  const tarball = Buffer.from(await (await fetchOk(dist.tarball)).arrayBuffer());
+  const [algorithm, expected] = dist.integrity.split("-");
+  if (createHash(algorithm).update(tarball).digest("base64") !== expected) fail(`${dist.tarball}: integrity mismatch`);
+  return gunzipSync(tarball);
+}
+
+/** Files of a tar archive by path (ustar: 512-byte headers, name and prefix fields, octal size). */
+function readTar(archive) {
+  const files = new Map();
+  const field = (offset, length, at) => archive.toString("utf8", at + offset, at + offset + length).replace(/\0.*$/s, "");
+  for (let at = 0; at + 512 <= archive.length && archive[at] !== 0; ) {
+    const prefix = field(345, 155, at);
+    const name = prefix ? `${prefix}/${field(0, 100, at)}` : field(0, 100, at);
+    const size = Number.parseInt(field(124, 12, at).trim() || "0", 8);
+    const type = String.fromCharCode(archive[at + 156]);
+    if (type === "0" || type === "\0") files.set(name, archive.subarray(at + 512, at + 512 + size));
+    at += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+/** `from "three"` → `from "../../../build/three.module.js"`, relative to `file` inside the package. */
+function rewriteBareThree(source, file) {
+  let target = relative(dirname(file), THREE_ENTRY).split("\\").join("/");
+  if (!target.startsWith(".")) target = `./${target}`;
+  return source.replace(/(\bfrom\s*|\bimport\s*)(["'])three\2/g, `$1"${target}"`);
+}
+
+for (const { name, version, files } of PACKAGES) {
+  const packageDir = join(VENDOR_DIR, `${name}@${version}`);
+  const archive = readTar(await fetchTarball(name, version));
+  for (const file of files) {
+    const entry = archive.get(`package/${file}`);
+    if (!entry) fail(`${name}@${version} has no ${file}`);
+    let source = entry.toString("utf8");
+    if (name === "three" && file !== THREE_ENTRY) source = rewriteBareThree(source, file);
+    const out = join(packageDir, file);
+    await mkdir(dirname(out), { recursive: true });
+    await writeFile(out, source);
+    console.log(`${name}@${version}/${file} → ${relative(ROOT, out)} (${(Buffer.byteLength(source) / 1024).toFixed(0)} KB)`);
+  }
+}
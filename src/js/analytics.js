@@ -0,0 +1,277 @@
+/**
+ * First-party analytics: a small event bus the page modules publish to (brain scene, waitlist form,
+ * reinforce line) and pluggable sinks that receive the events. Sinks are local (console, memory: nothing
+ * leaves the page) or remote (beacon). Remote sinks only receive events while the visitor has consented
+ * and Do Not Track / Global Privacy Control are off; events from before a decision wait in a short
+ * buffer and are dropped on refusal. No personal data: event properties are limited to short scalar
+ * values, anything that looks like an email address is removed, and events carry only the page path
+ * and a random id that lives as long as the tab (sessionStorage).
+ */
+import { createEmitter } from "./emitter.js";
+
+const CONSENT_KEY = "mk-analytics-consent";
+const SESSION_KEY = "mk:analytics-session";
+const MAX_PENDING = 100;
+const MAX_PROPS = 16;
+const MAX_STRING = 64;
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+/;
+const PERSONAL_KEY = /mail|phone|address|password/i;
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} name - "<area>:<what>", e.g. "brain:scan-complete", "waitlist:submit"
+ * @property {Record<string, string|number|boolean|null>} props
+ * @property {number} at - ms since navigation start
+ * @property {string} session - random per-tab id
+ */
+
+/**
+ * @typedef {Object} AnalyticsSink
+ * @property {boolean} [remote] - sends events off the device; gated by consent and Do Not Track
+ * @property {(event: AnalyticsEvent) => void} send
+ * @property {() => void} [flush]
+ * @property {() => void} [dispose]
+ */
+
+/** Do Not Track or Global Privacy Control is on. */
+export function doNotTrack(nav = globalThis.navigator) {
+  return nav?.globalPrivacyControl === true || [nav?.doNotTrack, globalThis.doNotTrack, nav?.msDoNotTrack].some((value) => value === "1" || value === "yes");
+}
+
+/** Scalar properties only, short strings, no email-looking values or personal-data keys. */
+function scrub(props) {
+  const out = {};
+  for (const [key, value] of Object.entries(props ?? {}).slice(0, MAX_PROPS)) {
+    if (PERSONAL_KEY.test(key)) continue;
+    if (typeof value === "number") {
+      if (Number.isFinite(value)) out[key] = Math.round(value * 100) / 100;
+    } else if (typeof value === "string") {
+      if (!EMAIL_PATTERN.test(value)) out[key] = value.slice(0, MAX_STRING);
+    } else if (typeof value === "boolean" || value === null) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function readStorage(storage, key) {
+  try {
+    return storage?.getItem(key) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(storage, key, value) {
+  try {
+    if (value === null) storage?.removeItem(key);
+    else storage?.setItem(key, value);
+  } catch {
+    // storage blocked: the decision holds for this page view
+  }
+}
+
+function sessionId(storage) {
+  const saved = readStorage(storage, SESSION_KEY);
+  if (saved) return saved;
+  const id = globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+  writeStorage(storage, SESSION_KEY, id);
+  return id;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {AnalyticsSink[]} [opts.sinks]
+ * @param {boolean} [opts.requireConsent=true] - remote sinks wait for `setConsent(true)`; false treats "no decision" as consent
+ *   (a refusal still stops them)
+ * @param {boolean} [opts.doNotTrack] - defaults to the browser's DNT / GPC setting
+ * @param {Storage|null} [opts.storage=localStorage] - where the consent decision is kept
+ * @param {Storage|null} [opts.sessionStorage=sessionStorage] - where the per-tab id is kept
+ */
+export function createAnalytics({
+  sinks: initialSinks = [],
+  requireConsent = true,
+  doNotTrack: dnt = doNotTrack(),
+  storage = globalThis.localStorage ?? null,
+  sessionStorage = globalThis.sessionStorage ?? null,
+} = {}) {
+  const events = createEmitter();
+  const sinks = new Set(initialSinks);
+  const session = sessionId(sessionStorage);
+  const pending = []; // remote-bound events waiting for a consent decision
+  let consent = { granted: true, denied: false }[readStorage(storage, CONSENT_KEY)] ?? null;
+  let consentRequired = requireConsent;
+
+  /** Remote sinks may receive events now. */
+  function remoteAllowed() {
+    if (dnt || consent === false) return false;
+    return consent === true || !consentRequired;
+  }
+
+  function deliver(sink, event) {
+    try {
+      sink.send(event);
+    } catch (err) {
+      console.error("[analytics] sink failed", err);
+    }
+  }
+
+  function releasePending() {
+    if (!remoteAllowed()) return;
+    const released = pending.splice(0);
+    for (const sink of sinks) if (sink.remote) released.forEach((event) => deliver(sink, event));
+  }
+
+  /**
+   * Publish an event. Properties are scrubbed (see the module comment), so pass codes and counts, not input.
+   * @param {string} name
+   * @param {Object} [props]
+   * @returns {AnalyticsEvent}
+   */
+  function track(name, props) {
+    const event = { name, props: scrub(props), at: Math.round(performance.now()), session };
+    const allowed = remoteAllowed();
+    for (const sink of sinks) if (!sink.remote || allowed) deliver(sink, event);
+    // Waits only while a decision can still come (not under DNT, not after a refusal)
+    if (!allowed && !dnt && consent === null) {
+      if (pending.length >= MAX_PENDING) pending.shift();
+      pending.push(event);
+    }
+    events.emit("event", event);
+    return event;
+  }
+
+  return {
+    track,
+    /** @returns {() => void} removes the sink again */
+    addSink(sink) {
+      sinks.add(sink);
+      if (sink.remote) releasePending();
+      return () => sinks.delete(sink);
+    },
+    /**
+     * Record the visitor's decision (kept in localStorage); true releases the events buffered so far,
+     * false drops them. null forgets the decision.
+     * @param {boolean|null} granted
+     */
+    setConsent(granted) {
+      consent = granted === null ? null : Boolean(granted);
+      writeStorage(storage, CONSENT_KEY, consent === null ? null : consent ? "granted" : "denied");
+      if (consent === false) pending.length = 0;
+      releasePending();
+      events.emit("consentchange", { granted: consent });
+    },
+    /** Whether consent is needed before remote sinks receive events (page config, see main.js). */
+    get requireConsent() {
+      return consentRequired;
+    },
+    set requireConsent(value) {
+      consentRequired = Boolean(value);
+      releasePending();
+    },
+    /** true / false once the visitor decided, null before. */
+    get consent() {
+      return consent;
+    },
+    get doNotTrack() {
+      return dnt;
+    },
+    /** Remote sinks are receiving events. */
+    get tracking() {
+      return remoteAllowed();
+    },
+    /** Send what the sinks have batched (e.g. before the page goes away). */
+    flush() {
+      for (const sink of sinks) sink.flush?.();
+    },
+    /** @param {"event"|"consentchange"} type */
+    on: events.on,
+    off: events.off,
+  };
+}
+
+/** The page's analytics bus; sinks are attached in main.js. */
+export const analytics = createAnalytics();
+
+/** Logs events to the console (local). */
+export function consoleSink({ prefix = "[analytics]" } = {}) {
+  return {
+    remote: false,
+    send(event) {
+      console.info(prefix, event.name, event.props);
+    },
+  };
+}
+
+/**
+ * Keeps events in an array, for tests and the console (local unless `remote`, which lets a test stand in
+ * for a remote sink and see the consent gating).
+ * @returns {AnalyticsSink & { readonly events: AnalyticsEvent[], clear(): void }}
+ */
+export function memorySink({ remote = false, limit = 500 } = {}) {
+  const stored = [];
+  return {
+    remote,
+    send(event) {
+      if (stored.length >= limit) stored.shift();
+      stored.push(event);
+    },
+    get events() {
+      return stored.slice();
+    },
+    clear() {
+      stored.length = 0;
+    },
+  };
+}
+
+/**
+ * Posts events to a first-party endpoint in batches with navigator.sendBeacon (fetch keepalive where that is
+ * missing or refuses the payload): when `batchSize` events are waiting, `interval` ms after the first one, and
+ * when the page is hidden or unloaded. Body: JSON `{ page, events: AnalyticsEvent[] }`; failures are not retried.
+ * @param {Object} opts
+ * @param {string} opts.url
+ * @param {number} [opts.batchSize=20]
+ * @param {number} [opts.interval=10000]
+ * @returns {AnalyticsSink}
+ */
+export function beaconSink({ url, batchSize = 20, interval = 10000 }) {
+  const queue = [];
+  let timer = null;
+
+  function post(body) {
+    try {
+      if (navigator.sendBeacon?.(url, new Blob([body], { type: "application/json" }))) return;
+    } catch {
+      // fall through to fetch
+    }
+    fetch(url, { method: "POST", body, headers: { "Content-Type": "application/json" }, keepalive: true, credentials: "omit" }).catch(() => {});
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    while (queue.length) post(JSON.stringify({ page: location.pathname, events: queue.splice(0, batchSize) }));
+  }
+
+  const onVisibility = () => {
+    if (document.visibilityState === "hidden") flush();
+  };
+  document.addEventListener("visibilitychange", onVisibility);
+  window.addEventListener("pagehide", flush);
+
+  return {
+    remote: true,
+    send(event) {
+      queue.push(event);
+      if (queue.length >= batchSize) flush();
+      else timer ??= setTimeout(flush, interval);
+    },
+    flush,
+    dispose() {
+      flush();
+      document.removeEventListener("visibilitychange", onVisibility);
+      window.removeEventListener("pagehide", flush);
+    },
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Capture mode for stills and clips of the brain scene. The scene runs on a fixed-timestep clock
+ * (initBrainScene `capture`), so a given time renders the same picture on every run and machine.
+ * Times are seconds since the reveal started, or relative to it:
+ *   "reveal"     the moment the reveal completes        "reveal+2"   two seconds after that
+ *   "cycle:0.4"  40% into the first pathway cycle
+ * The page opens in this mode with ?capture=1 (main.js, initCapturePage); scripts/render-og-image.js
+ * drives it headlessly to regenerate assets/og_image.png.
+ */
+import { initBrainScene } from "./brainScene.js";
+import { POINT_BUDGETS } from "./qualityGovernor.js";
+
+const DEFAULT_VIDEO_BITS_PER_SECOND = 8_000_000;
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+const MODEL_STAGES = ["fetch", "worker", "decode", "build"]; // "error" stages that leave no brain to capture
+
+/**
+ * A capture time → seconds since the reveal started.
+ * @param {number|string} value - seconds, "reveal[+s]" or "cycle:<fraction>"
+ * @param {{ scanDuration: number, cycleDuration: number }} clock
+ */
+export function resolveCaptureTime(value, clock) {
+  if (typeof value === "number" && value >= 0) return value;
+  const text = String(value).trim();
+  const reveal = text.match(/^reveal(?:\s*\+\s*(\d+(?:\.\d+)?))?$/);
+  if (reveal) return clock.scanDuration + Number(reveal[1] ?? 0);
+  const cycle = text.match(/^cycle:(\d+(?:\.\d+)?)$/);
+  if (cycle) return clock.scanDuration + Number(cycle[1]) * clock.cycleDuration;
+  const seconds = Number(text);
+  if (text !== "" && Number.isFinite(seconds) && seconds >= 0) return seconds;
+  throw new RangeError(`Capture time must be seconds, "reveal[+s]" or "cycle:<fraction>", got "${value}"`);
+}
+
+/** Capture settings from the page URL: ?capture=1&width=1200&height=630&dpr=2&fps=30&time=reveal+2 */
+export function readCaptureParams(search = location.search) {
+  const params = new URLSearchParams(search);
+  if (!params.has("capture") || params.get("capture") === "0") return null;
+  const positive = (name) => {
+    const n = Number.parseFloat(params.get(name));
+    return Number.isFinite(n) && n > 0 ? n : undefined;
+  };
+  return { width: positive("width"), height: positive("height"), pixelRatio: positive("dpr"), fps: positive("fps"), time: params.get("time") };
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`Couldn't encode the frame as ${type}`))), type, quality);
+  });
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Mounts the scene in capture mode; resolves once the model (or the procedural fallback) is on screen.
+ * Sampling defaults to the "high" point budget so the picture doesn't depend on the capturing device.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [options] - initBrainScene options, plus:
+ * @param {number} [options.width] - frame size in CSS px; defaults to the canvas size
+ * @param {number} [options.height]
+ * @param {number} [options.pixelRatio=1]
+ * @param {number} [options.fps=60] - clock step; seeks land on whole frames
+ * @returns {Promise<{ brain: Object, readonly clock: Object, seek(time: number|string): number, still(time?: number|string, opts?: { type?: string, quality?: number }): Promise<Blob>,
+ *   frames(opts: { from?: number|string, to: number|string, type?: string }): AsyncGenerator<{ frame: number, time: number, blob: Blob }>,
+ *   record(opts: { from?: number|string, duration: number, mimeType?: string, videoBitsPerSecond?: number }): Promise<Blob>, download(blob: Blob, filename: string): void, dispose(): void }>}
+ */
+export function initBrainCapture(canvas, { width, height, pixelRatio = 1, fps = 60, sampling = { count: POINT_BUDGETS.high }, ...sceneOptions } = {}) {
+  const brain = initBrainScene(canvas, { ...sceneOptions, sampling, capture: { width, height, pixelRatio, fps } });
+  if (brain.mode !== "webgl") {
+    brain.dispose();
+    return Promise.reject(new Error("Capture mode needs WebGL"));
+  }
+
+  /** Move the clock to `time` and draw it; returns the time in seconds. */
+  function seek(time) {
+    const seconds = resolveCaptureTime(time, brain.clock);
+    brain.seek(seconds);
+    brain.renderFrame();
+    return brain.clock.time;
+  }
+
+  const capture = {
+    brain,
+    get clock() {
+      return brain.clock;
+    },
+    seek,
+    /** PNG (or `type`) of the frame at `time`; the current time when omitted. */
+    async still(time = brain.clock.time, { type = "image/png", quality } = {}) {
+      seek(time);
+      return canvasToBlob(canvas, type, quality);
+    },
+    /** Every frame from `from` to `to` (inclusive) at the clock's fps, as encoded images. */
+    async *frames({ from = 0, to, type = "image/png" }) {
+      const first = Math.round(resolveCaptureTime(from, brain.clock) * fps);
+      const last = Math.round(resolveCaptureTime(to, brain.clock) * fps);
+      for (let frame = first; frame <= last; frame++) {
+        brain.seek(frame / fps);
+        brain.renderFrame();
+        yield { frame, time: frame / fps, blob: await canvasToBlob(canvas, type) };
+      }
+    },
+    /**
+     * WebM of `duration` seconds from `from`, via MediaRecorder. Frame content is exact; frame timing follows
+     * the wall clock, so record where rendering keeps up with `fps` (or encode `frames()` offline instead).
+     */
+    async record({ from = 0, duration, mimeType, videoBitsPerSecond = DEFAULT_VIDEO_BITS_PER_SECOND }) {
+      if (!(duration > 0)) throw new RangeError(`Recording duration must be a positive number of seconds, got ${duration}`);
+      if (typeof MediaRecorder !== "function" || typeof canvas.captureStream !== "function") {
+        throw new Error("Recording needs MediaRecorder and canvas.captureStream()");
+      }
+      const type = mimeType ?? WEBM_TYPES.find((candidate) => MediaRecorder.isTypeSupported(candidate));
+      if (!type) throw new Error("This browser can't record WebM");
+      const stream = canvas.captureStream(0); // frames only when requested
+      const [track] = stream.getVideoTracks();
+      const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond });
+      const chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size) chunks.push(event.data);
+      };
+      const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = (event) => reject(event.error ?? new Error("Recording failed"));
+      });
+
+      const first = Math.round(resolveCaptureTime(from, brain.clock) * fps);
+      const count = Math.round(duration * fps);
+      const frameMs = 1000 / fps;
+      recorder.start();
+      const started = performance.now();
+      for (let i = 0; i <= count; i++) {
+        brain.seek((first + i) / fps);
+        brain.renderFrame();
+        track.requestFrame();
+        await wait(Math.max(0, started + (i + 1) * frameMs - performance.now()));
+      }
+      recorder.stop();
+      track.stop();
+      await stopped;
+      return new Blob(chunks, { type });
+    },
+    /** Save a capture through a temporary download link. */
+    download(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const link = Object.assign(document.createElement("a"), { href: url, download: filename });
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+    dispose() {
+      brain.dispose();
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const offLoaded = brain.on("loaded", () => {
+      offError();
+      resolve(capture);
+    });
+    // With the procedural fallback a failed load is followed by "loaded"; without it the error is final
+    const offError = brain.on("error", ({ stage, error }) => {
+      if (sceneOptions.proceduralFallback !== false || !MODEL_STAGES.includes(stage)) return;
+      offLoaded();
+      offError();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Capture mode for the page (?capture=1): mounts on `canvas` with the URL's settings and shows ?time= once
+ * loaded (default: the end of the reveal).
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [search]
+ */
+export async function initCapturePage(canvas, search = location.search) {
+  const { time, ...settings } = readCaptureParams(search) ?? {};
+  const capture = await initBrainCapture(canvas, settings);
+  capture.seek(time ?? "reveal");
+  return capture;
+}
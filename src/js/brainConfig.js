@@ -0,0 +1,201 @@
+/**
+ * Declarative config for the brain's regions, pathways and nodes.
+ * Pass an object or a JSON URL to initBrainScene({ config }) / controller.setConfig();
+ * everything not given falls back to DEFAULT_BRAIN_CONFIG.
+ *
+ * {
+ *   regions: [{ name, pos: [x, y, z], kind?, label?, description? }], // brain group space; label/description feed the
+ *                                                             // interactive tooltip, kind (default: name) the memory graph
+ *   pathways: {
+ *     cycleDuration,                                            // seconds per flash loop
+ *     defaults: { curveHeight, color, themed?, delay, duration, fadeOut, opacity },
+ *     connections: [{ from, to, curveHeight?, color?, delay?, duration? }]  // from/to are region names
+ *   },
+ *   nodes: { color, themed?, size, sizePulse, opacity, opacityPulse }
+ * }
+ * A connection without `delay` flashes at index × defaults.delay.
+ * Colors the config leaves unset follow the page theme (--mk-brain-pathway / --mk-brain-node, see brainTheme.js);
+ * normalized connections and nodes say so with `themed: true`. A color given together with `themed: true` is only
+ * what is drawn before the theme is read; the defaults below are set up that way.
+ */
+
+export const DEFAULT_BRAIN_CONFIG = {
+  regions: [
+    {
+      name: "episodic",
+      kind: "episodic",
+      pos: [92, 45, 0],
+      label: "Episodic memory",
+      description: "Specific experiences anchored in time and place: what happened, when and where.",
+    },
+    {
+      name: "semantic_r",
+      kind: "semantic",
+      pos: [20, -30, 65],
+      label: "Semantic memory",
+      description: "Facts and concepts you know, detached from the moment you learned them.",
+    },
+    {
+      name: "analytic",
+      kind: "analytic",
+      pos: [-80, 20, 0],
+      label: "Analytical reasoning",
+      description: "Comparing, ordering and drawing conclusions from what you already remember.",
+    },
+    {
+      name: "process",
+      kind: "procedural",
+      pos: [-50, 75, 0],
+      label: "Procedural memory",
+      description: "Skills and routines you carry out without thinking them through step by step.",
+    },
+    {
+      name: "affective",
+      kind: "affective",
+      pos: [-100, -30, 0],
+      label: "Emotional memory",
+      description: "The feelings attached to a memory, which decide how strongly it sticks.",
+    },
+    {
+      name: "semantic_l",
+      kind: "semantic",
+      pos: [20, -30, -65],
+      label: "Semantic memory",
+      description: "Facts and concepts you know, detached from the moment you learned them.",
+    },
+  ],
+  pathways: {
+    cycleDuration: 8,
+    defaults: { curveHeight: 30, color: "#84ccff", themed: true, delay: 0.4, duration: 1.5, fadeOut: 0.5, opacity: 0.7 },
+    connections: [
+      { from: "episodic", to: "semantic_r" },
+      { from: "semantic_r", to: "analytic" },
+      { from: "analytic", to: "process" },
+      { from: "process", to: "affective" },
+      { from: "affective", to: "semantic_l" },
+      { from: "semantic_l", to: "episodic" },
+      { from: "episodic", to: "process" },
+      { from: "semantic_r", to: "affective" },
+      { from: "analytic", to: "semantic_l" },
+    ],
+  },
+  nodes: { color: "#84ccff", themed: true, size: 6, sizePulse: 4, opacity: 0.4, opacityPulse: 0.3 },
+};
+
+export class BrainConfigError extends Error {
+  /** @param {string[]} issues - one human-readable line per problem, prefixed with its path */
+  constructor(issues) {
+    super(`Invalid brain config:\n  ${issues.join("\n  ")}`);
+    this.name = "BrainConfigError";
+    this.issues = issues;
+  }
+}
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isColor = (value) => (typeof value === "string" && value.trim() !== "") || (Number.isInteger(value) && value >= 0);
+
+/**
+ * Fills defaults and checks a config. Throws BrainConfigError listing every problem at once.
+ * @param {Object} [input]
+ * @returns {typeof DEFAULT_BRAIN_CONFIG} normalized config; connections carry resolved settings and region indices
+ */
+export function validateBrainConfig(input = {}) {
+  const issues = [];
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    throw new BrainConfigError(["config: expected an object"]);
+  }
+
+  const regions = input.regions ?? DEFAULT_BRAIN_CONFIG.regions;
+  const names = new Map();
+  if (!Array.isArray(regions) || regions.length === 0) {
+    issues.push("regions: expected a non-empty array");
+  } else {
+    regions.forEach((region, i) => {
+      if (typeof region?.name !== "string" || !region.name) issues.push(`regions[${i}].name: expected a non-empty string`);
+      else if (names.has(region.name)) issues.push(`regions[${i}].name: duplicate region "${region.name}"`);
+      else names.set(region.name, i);
+      if (!Array.isArray(region?.pos) || region.pos.length !== 3 || !region.pos.every(isNumber)) {
+        issues.push(`regions[${i}].pos: expected [x, y, z] numbers`);
+      }
+      for (const key of ["kind", "label", "description"]) {
+        if (region?.[key] !== undefined && typeof region[key] !== "string") issues.push(`regions[${i}].${key}: expected a string`);
+      }
+    });
+  }
+
+  const pathwaysIn = input.pathways ?? {};
+  const defaults = {
+    ...DEFAULT_BRAIN_CONFIG.pathways.defaults,
+    ...pathwaysIn.defaults,
+    themed: pathwaysIn.defaults?.themed ?? pathwaysIn.defaults?.color === undefined,
+  };
+  const cycleDuration = pathwaysIn.cycleDuration ?? DEFAULT_BRAIN_CONFIG.pathways.cycleDuration;
+  if (!isNumber(cycleDuration) || cycleDuration <= 0) issues.push("pathways.cycleDuration: expected a positive number");
+  for (const key of ["curveHeight", "delay", "duration", "fadeOut", "opacity"]) {
+    if (!isNumber(defaults[key])) issues.push(`pathways.defaults.${key}: expected a number`);
+  }
+  if (!isColor(defaults.color)) issues.push("pathways.defaults.color: expected a CSS color string or hex number");
+
+  // Default connections only make sense with the default regions
+  const connectionsIn = pathwaysIn.connections ?? (input.regions ? [] : DEFAULT_BRAIN_CONFIG.pathways.connections);
+  const known = [...names.keys()].map((name) => `"${name}"`).join(", ");
+  const connections = [];
+  if (!Array.isArray(connectionsIn)) {
+    issues.push("pathways.connections: expected an array");
+  } else {
+    connectionsIn.forEach((conn, i) => {
+      const path = `pathways.connections[${i}]`;
+      for (const end of ["from", "to"]) {
+        if (!names.has(conn?.[end])) issues.push(`${path}.${end}: unknown region "${conn?.[end]}" (known: ${known})`);
+      }
+      for (const key of ["curveHeight", "delay", "duration"]) {
+        if (conn?.[key] !== undefined && !isNumber(conn[key])) issues.push(`${path}.${key}: expected a number`);
+      }
+      if (conn?.color !== undefined && !isColor(conn.color)) issues.push(`${path}.color: expected a CSS color string or hex number`);
+      connections.push({
+        from: conn?.from,
+        to: conn?.to,
+        fromIndex: names.get(conn?.from),
+        toIndex: names.get(conn?.to),
+        curveHeight: conn?.curveHeight ?? defaults.curveHeight,
+        color: conn?.color ?? defaults.color,
+        themed: conn?.themed ?? (conn?.color === undefined && defaults.themed),
+        delay: conn?.delay ?? i * defaults.delay,
+        duration: conn?.duration ?? defaults.duration,
+        fadeOut: defaults.fadeOut,
+        opacity: defaults.opacity,
+      });
+    });
+  }
+
+  const nodes = { ...DEFAULT_BRAIN_CONFIG.nodes, ...input.nodes };
+  for (const key of ["size", "sizePulse", "opacity", "opacityPulse"]) {
+    if (!isNumber(nodes[key])) issues.push(`nodes.${key}: expected a number`);
+  }
+  if (!isColor(nodes.color)) issues.push("nodes.color: expected a CSS color string or hex number");
+
+  if (issues.length) throw new BrainConfigError(issues);
+  return {
+    regions: regions.map((region) => ({ ...region, pos: [...region.pos], kind: region.kind ?? region.name, label: region.label ?? region.name, description: region.description ?? "" })),
+    pathways: { cycleDuration, defaults, connections },
+    nodes: { ...nodes, themed: input.nodes?.themed ?? input.nodes?.color === undefined },
+  };
+}
+
+/**
+ * Resolves an inline config or a JSON URL into a validated config.
+ * @param {Object|string} source
+ * @param {AbortSignal} [signal]
+ */
+export async function loadBrainConfig(source, signal) {
+  if (typeof source !== "string") return validateBrainConfig(source);
+  const res = await fetch(source, { signal });
+  if (!res.ok) throw new Error(`Brain config fetch ${source} ${res.status}`);
+  let json;
+  try {
+    json = await res.json();
+  } catch (err) {
+    throw new BrainConfigError([`${source}: not valid JSON (${err.message})`]);
+  }
+  return validateBrainConfig(json);
+}
@@ -0,0 +1,969 @@
+// Three.js brain scene with MRI scan reveal effect, free of DOM access so it runs on the main thread
+// (brainScene.js) or in a worker on an OffscreenCanvas (brainScene.worker.js). Whatever the page provides,
+// size, pixel ratio, visibility, theme, pointer input, comes in through `host`.
+// Only the real brain model is shown; no placeholder (binary .mkm, else OBJ parsed in a worker; then render starts).
+
+import * as THREE from "../vendor/three@0.160.0/build/three.module.js";
+import { OrbitControls } from "../vendor/three@0.160.0/examples/jsm/controls/OrbitControls.js";
+import { createEmitter } from "./emitter.js";
+import { createQualityGovernor } from "./qualityGovernor.js";
+import { loadBrainModel } from "./brainModel.js";
+import { DEFAULT_BRAIN_CONFIG, loadBrainConfig, validateBrainConfig } from "./brainConfig.js";
+import { createPathwayNetwork } from "./brainPathways.js";
+import { perfTimeline } from "./perfTimeline.js";
+import { createMemoryGraph, loadMemoryGraph } from "./memoryGraph.js";
+import { generateProceduralBrain } from "./proceduralBrain.js";
+import { computeRevealRange, EASINGS, resolveReveal } from "./revealModes.js";
+
+const DEBUG = /[?&]debug=1/.test(location.search);
+
+const LOADING_ROTATION_SPEED = 0.07; // rad/s continuous gentle spin
+const PARTICLE_STEP = 8;
+const DEFAULT_TARGET_FPS = 50;
+const LONG_FRAME_MS = 50;
+const POINT_SIZE_BASE = 2.2;
+const POINT_SIZE_REF_DIST = 300;
+
+export class WebGLUnavailableError extends Error {
+  /** @param {unknown} cause - what the renderer threw */
+  constructor(cause) {
+    super("WebGL is unavailable", { cause });
+    this.name = "WebGLUnavailableError";
+  }
+}
+
+/** Take every step-th vertex for a lighter points cloud; copies normals when present. */
+function decimateForPoints(geometry, step) {
+  const pos = geometry.attributes.position;
+  if (!pos) return null;
+  const norm = geometry.attributes.normal;
+  const count = pos.count;
+  const outPos = [];
+  const outNorm = norm ? [] : null;
+  for (let i = 0; i < count; i += step) {
+    outPos.push(pos.getX(i), pos.getY(i), pos.getZ(i));
+    if (norm) outNorm.push(norm.getX(i), norm.getY(i), norm.getZ(i));
+  }
+  const decimated = new THREE.BufferGeometry();
+  decimated.setAttribute("position", new THREE.Float32BufferAttribute(outPos, 3));
+  if (outNorm) decimated.setAttribute("normal", new THREE.Float32BufferAttribute(outNorm, 3));
+  return decimated;
+}
+
+// Custom shader for the reveal effect. uMetric picks what the front sweeps over
+// (revealModes.js): 0 = distance along uAxis, 1 = distance from uOrigin, 2 = per-point noise.
+// Points are visible behind the front (or ahead of it when uInvert = 1, for "forget").
+// Explicit highp helps Cursor/Electron WebGL match Chrome (avoids mediump blur/size quirks)
+const scanVertexShader = `
+  precision highp float;
+  uniform int uMetric;
+  uniform vec3 uAxis;
+  uniform vec3 uOrigin;
+  uniform float uFront;
+  uniform float uScanWidth;
+  uniform float uInvert;
+  varying float vVisible;
+  varying float vScanGlow;
+
+  float hash(vec3 p) {
+    return fract(sin(dot(p, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+  }
+  
+  void main() {
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = 2.2 * (300.0 / -mvPosition.z); /* POINT_SIZE_BASE * (REF_DIST / depth) */
+
+    float metric;
+    if (uMetric == 0) metric = dot(position, uAxis);
+    else if (uMetric == 1) metric = distance(position, uOrigin);
+    else metric = hash(position);
+    
+    // Particles visible once the front has passed them (inverted: until it reaches them)
+    float revealed = step(metric, uFront);
+    vVisible = mix(revealed, 1.0 - revealed, uInvert);
+    
+    // Glow near the front
+    vScanGlow = smoothstep(uScanWidth, 0.0, abs(metric - uFront));
+  }
+`;
+
+const scanFragmentShader = `
+  precision highp float;
+  uniform vec3 uColor;
+  uniform vec3 uScanColor;
+  uniform float uOpacity;
+  varying float vVisible;
+  varying float vScanGlow;
+  
+  void main() {
+    if (vVisible < 0.5) discard;
+    
+    // Circular point shape
+    float dist = length(gl_PointCoord - vec2(0.5));
+    if (dist > 0.5) discard;
+    
+    float alpha = smoothstep(0.5, 0.2, dist);
+    
+    // Mix base color with scan glow color
+    vec3 color = mix(uColor, uScanColor, vScanGlow * 0.8);
+    float finalAlpha = alpha * uOpacity * (1.0 + vScanGlow * 2.0);
+    
+    gl_FragColor = vec4(color, finalAlpha);
+  }
+`;
+
+/** Record a setup phase on the perf timeline (debug HUD) and, with ?debug=1, the console. */
+function logPerf(phase, startMs) {
+  const { duration } = perfTimeline.measure(`brain:${phase}`, startMs);
+  if (DEBUG) console.log(`[brain] ⏱ ${phase}: ${duration.toFixed(1)}ms`);
+}
+
+/**
+ * Timeline mark, debug log, `onFallback` hook and (a microtask later, so listeners added after init see it)
+ * the "fallback" event. Shared with brainScene.js for the 2D fallback.
+ */
+export function reportBrainFallback(events, onFallback, info) {
+  perfTimeline.mark("brain:fallback", { kind: info.kind, reason: info.reason });
+  if (DEBUG) console.warn(`[brain] fallback: ${info.kind} (${info.reason})`, info.error);
+  onFallback?.(info);
+  queueMicrotask(() => events.emit("fallback", info));
+}
+
+/** Dispose every geometry and material reachable from `root`. */
+function disposeObjectTree(root) {
+  root.traverse((obj) => {
+    obj.geometry?.dispose();
+    const materials = Array.isArray(obj.material) ? obj.material : obj.material ? [obj.material] : [];
+    materials.forEach((m) => m.dispose());
+  });
+}
+
+/**
+ * @typedef {Object} BrainHost - what the scene needs from the page (see brainScene.js / brainScene.worker.js)
+ * @property {() => { width: number, height: number }} size - CSS size of the canvas
+ * @property {() => number} pixelRatio - device pixel ratio
+ * @property {() => boolean} visible - on screen in a visible tab (the loop only runs while true)
+ * @property {Object} dataset - the canvas's data-* attributes (data-reveal-*)
+ * @property {Object} theme - initial --mk-brain-* palette (brainTheme.js)
+ * @property {EventTarget} controlsElement - what OrbitControls listens on: the canvas or a worker-side stand-in
+ * @property {() => void} refreshTheme - re-read the palette and hand it to setTheme if it changed
+ * @property {((ctx: { camera: THREE.Camera, events: Object }) => Object)|null} createInteraction - region overlay (main thread only)
+ * @property {() => void} onFirstFrame - the first frame is drawn (reveal the canvas)
+ * @property {() => void} onDispose
+ */
+
+/**
+ * Builds the scene on `canvas` (HTMLCanvasElement or OffscreenCanvas). Options are initBrainScene's, already
+ * resolved: `sample` is loadBrainModel's sampling spec and `events` the emitter to publish on.
+ * With `capture: { fps }` nothing runs on its own: time only moves through `seek(seconds)`, in whole steps of
+ * 1/fps from the start of the reveal, and a frame is drawn by `renderFrame()`, so a given time always
+ * renders the same picture (brainCapture.js).
+ * With `reducedMotion` the scene is a composed still: the reveal is skipped to its end, nothing spins or
+ * pulses, and frames are drawn only when something changes (`invalidate()` for host-side changes such as
+ * size). `replayScan()` still plays the reveal once, on demand.
+ * Throws WebGLUnavailableError (leaving nothing behind) when no WebGL context can be created.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {BrainHost} host
+ * @param {Object} options
+ * @returns {{ controller: Object, setTheme(theme: Object): void, setVisible(visible: boolean): void, setReducedMotion(reduced: boolean): void,
+ *   invalidate(): void }} the controller (initBrainScene's shape) plus the hooks the host drives
+ */
+export function createBrainCore(canvas, host, {
+  adaptiveQuality = true,
+  targetFps = DEFAULT_TARGET_FPS,
+  modelUrl,
+  objUrl,
+  cache = true,
+  modelVersion = null,
+  sample = null,
+  capture = null,
+  reducedMotion: reducedMotionOption = false,
+  proceduralFallback = true,
+  onFallback = null,
+  reveal: revealOption = {},
+  config = null,
+  memoryGraph: memoryGraphOption = null,
+  events = createEmitter(),
+}) {
+  const t0 = performance.now();
+  // Validate inline configs before touching WebGL so a bad config fails fast and leaks nothing
+  let brainConfig = validateBrainConfig(config && typeof config === "object" ? config : DEFAULT_BRAIN_CONFIG);
+
+  let t = performance.now();
+  let renderer;
+  try {
+    renderer = new THREE.WebGLRenderer({
+      canvas,
+      antialias: true,
+      alpha: true,
+      premultipliedAlpha: false,
+      powerPreference: "high-performance",
+      preserveDrawingBuffer: Boolean(capture), // frames are read back after renderFrame() returns
+    });
+  } catch (error) {
+    throw new WebGLUnavailableError(error);
+  }
+  const quality = createQualityGovernor({
+    targetFps,
+    onChange: applyQuality,
+  });
+  renderer.setPixelRatio(Math.min(host.pixelRatio(), quality.level.pixelRatio));
+  renderer.setClearColor(0x000000, 0);
+  logPerf("renderer", t);
+
+  t = performance.now();
+  const scene = new THREE.Scene();
+  scene.background = null;
+  // Palette from --mk-brain-* (brainTheme.js); the host recolors everything below via applyTheme
+  let brainTheme = host.theme;
+  scene.fog = new THREE.Fog(brainTheme.fog, 400, 1500);
+  const { width: w, height: h } = host.size();
+  const camera = new THREE.PerspectiveCamera(54, w / h, 1, 2000);
+  camera.position.set(0, 0, 380);
+  let reducedMotion = Boolean(reducedMotionOption);
+  const controls = new OrbitControls(camera, host.controlsElement);
+  controls.enableDamping = !reducedMotion; // damping keeps the camera drifting after a drag
+  controls.dampingFactor = 0.08;
+  controls.enableZoom = false;
+  controls.autoRotate = false;
+  controls.autoRotateSpeed = 0.3;
+  controls.minDistance = 200;
+  controls.maxDistance = 700;
+  controls.minPolarAngle = Math.PI / 3;
+  controls.maxPolarAngle = (2 * Math.PI) / 3;
+  controls.keys = {}; // arrow keys belong to the page (and, when interactive, to the region buttons)
+  controls.addEventListener("change", () => invalidate()); // drags must draw even when nothing else moves
+  logPerf("scene", t);
+
+  // Lighting
+  const ambientLight = new THREE.AmbientLight(brainTheme.light, 0.3);
+  scene.add(ambientLight);
+
+  const spotLight = new THREE.SpotLight(brainTheme.light, 1.45, 500, Math.PI / 2, 0, 0);
+  spotLight.position.set(0, 500, -10);
+  scene.add(spotLight);
+
+  const brainGroup = new THREE.Group();
+  scene.add(brainGroup);
+
+  // Thinking pathways group (hidden until scan complete)
+  const pathwaysGroup = new THREE.Group();
+  pathwaysGroup.visible = false;
+  brainGroup.add(pathwaysGroup);
+
+  // Thinking pathway lines + flashing nodes, rebuilt whenever the config changes
+  t = performance.now();
+  let network = createPathwayNetwork(brainConfig);
+  network.setTheme(brainTheme);
+  network.setStill(reducedMotion);
+  pathwaysGroup.add(network.group);
+  logPerf("pathways", t);
+
+  const interaction = host.createInteraction?.({ camera, events }) ?? null;
+  interaction?.setNetwork(network, brainConfig.regions);
+  if (interaction) {
+    // Highlights change the network; without a running loop they need a frame of their own
+    events.on("regionhover", invalidate);
+    events.on("regionselect", invalidate);
+  }
+
+  // Memory-graph mode: created on first use; replaces the decorative pathway loop while active
+  let memoryGraph = null;
+  logPerf("init-sync", t0);
+
+  // Reveal animation: the front sweeps from → to over `duration` seconds; range set when the brain loads
+  let revealOptions = { ...revealOption };
+  let reveal = resolveReveal(revealOptions, host.dataset);
+  let modelBounds = { min: [-120, -120, -120], max: [120, 120, 120] };
+  let scanState = {
+    phase: "scanning",
+    elapsed: 0,
+    ...computeRevealRange(reveal, modelBounds),
+  };
+
+  let brainPointsMaterial = null;
+  let brainPoints = null;
+  let sourceGeo = null; // full-resolution geometry kept so density can be rebuilt at another step
+  let modelStep = 1; // decimation already baked into the loaded model (binary assets)
+  let sampledCount = null; // surface-sampled points; quality then shows a prefix of them instead of re-decimating
+  let modelGroups = []; // OBJ o/g/usemtl draw ranges, e.g. anatomical regions
+
+  // Lifecycle: loop only runs once the model settled (loaded or failed), while not paused
+  // and (with autoPause) while the canvas is on screen in a visible tab
+  let loopStarted = false;
+  let paused = false;
+  let disposed = false;
+  let rafId = null;
+  let idle = false; // reduced motion: the last frame scheduled nothing after it
+  const abortController = new AbortController();
+
+  let lastTime = performance.now();
+  let cycleTime = 0;
+  let frameShown = false;
+  let scanSpeed = 1; // reveal time multiplier (debug HUD)
+  let particleStepOverride = null; // fixed point step instead of the quality governor's (debug HUD)
+  let captureFrame = 0; // capture mode: fixed steps taken since the reveal started
+  // Last frame, for the debug HUD; long frames are counted here rather than marked on the timeline, which would fill up
+  const stats = { frameMs: 0, drawCalls: 0, points: 0, triangles: 0, longFrames: 0, longestFrameMs: 0 };
+
+  function scheduleFrame() {
+    if (capture) return; // frames are driven by seek() / renderFrame()
+    if (rafId === null && loopStarted && !paused && !disposed && host.visible()) {
+      rafId = requestAnimationFrame(render);
+    }
+  }
+
+  function cancelFrame() {
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    rafId = null;
+  }
+
+  /** Whether frames keep coming on their own: always, except with reduced motion once nothing moves. */
+  function animating() {
+    return !reducedMotion || scanState.phase === "scanning";
+  }
+
+  /** Something visible changed: draw it (with reduced motion this is how frames get drawn at all). */
+  function invalidate() {
+    if (idle) {
+      idle = false;
+      lastTime = performance.now(); // don't fast-forward by the time spent idle
+    }
+    scheduleFrame();
+  }
+
+  /** Host: the canvas went on/off screen or the tab was hidden/shown (only reported with autoPause). */
+  function setVisible(visible) {
+    if (DEBUG) console.log("[brain]", visible ? "visible, rendering" : "hidden, render suspended");
+    if (visible) {
+      lastTime = performance.now();
+      quality.reset();
+      scheduleFrame();
+    } else {
+      cancelFrame();
+    }
+  }
+
+  function pointStep() {
+    return particleStepOverride ?? (adaptiveQuality ? quality.level.particleStep : PARTICLE_STEP);
+  }
+
+  /** Step to apply on top of whatever decimation the model file already has. */
+  function relativeStep(step) {
+    return Math.max(1, Math.round(step / modelStep));
+  }
+
+  function applyQuality(level) {
+    if (disposed) return;
+    resizeRendererToDisplaySize(true);
+    rebuildPoints();
+    invalidate();
+    perfTimeline.mark("brain:quality", { level: level.name, pixelRatio: renderer.getPixelRatio(), particleStep: level.particleStep });
+    if (DEBUG) console.log("[brain] quality →", level.name, `pixelRatio ${renderer.getPixelRatio()}`, `step ${level.particleStep}`);
+    events.emit("qualitychange", level);
+  }
+
+  /** Surface samples to draw at `step`: the full budget at PARTICLE_STEP density, proportionally fewer above it. */
+  function sampledDrawCount(step) {
+    return Math.round(sampledCount * Math.min(1, PARTICLE_STEP / step));
+  }
+
+  /** Re-decimate the point cloud from the kept full-resolution geometry at the current step. */
+  function rebuildPoints() {
+    if (brainPoints && sampledCount !== null) {
+      brainPoints.geometry.setDrawRange(0, sampledDrawCount(pointStep()));
+      return;
+    }
+    if (!brainPoints || !sourceGeo) return;
+    brainPoints.geometry.dispose();
+    brainPoints.geometry = decimateForPoints(sourceGeo, relativeStep(pointStep()));
+  }
+
+  // --- Load brain model (binary, else OBJ in worker); start render loop only after it settles ---
+  function startRenderLoop() {
+    if (disposed) return;
+    if (reducedMotion && !capture) finishReveal(); // open on the composed still
+    loopStarted = true;
+    lastTime = performance.now();
+    scheduleFrame();
+  }
+
+  function fail(stage, error) {
+    if (disposed) return;
+    events.emit("error", { stage, error });
+    startRenderLoop();
+  }
+
+  function buildBrain({ positions, normals, uvs, groups, diagnostics, diagnosticCount, step, source, samples = null }) {
+    const tBuild = performance.now();
+    modelStep = step;
+    modelGroups = groups;
+    const mergedGeo = new THREE.BufferGeometry();
+    mergedGeo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    mergedGeo.computeBoundingBox();
+    const bbox = mergedGeo.boundingBox;
+    modelBounds = { min: bbox.min.toArray(), max: bbox.max.toArray() };
+    let particleGeo;
+    if (samples) {
+      // Sampled points already carry interpolated normals; the soup was only needed for its bounds
+      particleGeo = new THREE.BufferGeometry();
+      particleGeo.setAttribute("position", new THREE.BufferAttribute(samples.positions, 3));
+      particleGeo.setAttribute("normal", new THREE.BufferAttribute(samples.normals, 3));
+      sampledCount = samples.positions.length / 3;
+      particleGeo.setDrawRange(0, sampledDrawCount(pointStep()));
+    } else {
+      if (normals) mergedGeo.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+      if (uvs) mergedGeo.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+      if (step === 1) mergedGeo.computeVertexNormals(); // triangle soup; pre-decimated point sets keep their stored normals
+      particleGeo = decimateForPoints(mergedGeo, relativeStep(pointStep()));
+    }
+    const pointCount = Math.min(particleGeo.attributes.position.count, particleGeo.drawRange.count);
+    brainPointsMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        uMetric: { value: 0 },
+        uAxis: { value: new THREE.Vector3(0, 1, 0) },
+        uOrigin: { value: new THREE.Vector3() },
+        uFront: { value: 0 },
+        uInvert: { value: 0 },
+        uScanWidth: { value: 0 },
+        uColor: { value: new THREE.Color(brainTheme.points) },
+        uScanColor: { value: new THREE.Color(brainTheme.scan) },
+        uOpacity: { value: 0.9 },
+      },
+      vertexShader: scanVertexShader,
+      fragmentShader: scanFragmentShader,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+    brainPoints = new THREE.Points(particleGeo, brainPointsMaterial);
+    brainPoints.frustumCulled = false;
+    brainGroup.rotation.y = Math.PI / 2;
+    brainGroup.add(brainPoints);
+    if (capture) rewind();
+    else startReveal();
+    // Kept for re-decimation when quality changes (or a debug step override is set)
+    if (!samples && (adaptiveQuality || DEBUG)) sourceGeo = mergedGeo;
+    else mergedGeo.dispose();
+    perfTimeline.measure("brain:build", tBuild, performance.now(), { source, points: pointCount, sampled: Boolean(samples) });
+    if (DEBUG) console.log("[brain] brain visible, starting render", `${(performance.now() - t0).toFixed(0)}ms`, `build: ${(performance.now() - tBuild).toFixed(0)}ms`, source);
+    events.emit("loaded", {
+      source,
+      vertexCount: positions.length / 3,
+      pointCount,
+      groups,
+      diagnostics: { count: diagnosticCount, items: diagnostics },
+      ms: performance.now() - t0,
+    });
+    startRenderLoop();
+  }
+
+  // URL configs arrive after the defaults are drawn; failures surface as "error" { stage: "config" }
+  if (typeof config === "string") setConfig(config).catch(() => {});
+  // Initial memory graph waits for the reveal so its store animation is actually seen
+  if (memoryGraphOption) events.once("scanComplete", () => setMemoryGraph(memoryGraphOption).catch(() => {}));
+
+  loadBrainModel({
+    binaryUrl: modelUrl,
+    objUrl,
+    cache,
+    version: modelVersion,
+    sample,
+    signal: abortController.signal,
+    onProgress: (progress) => events.emit("progress", progress),
+  })
+    .then((model) => {
+      if (!disposed) buildBrain(model);
+    })
+    .catch((err) => {
+      if (err.name === "AbortError" || disposed) return;
+      if (DEBUG) console.warn("[brain] model load error", err);
+      if (!proceduralFallback) {
+        fail(err.stage ?? "build", err);
+        return;
+      }
+      events.emit("error", { stage: err.stage ?? "build", error: err });
+      reportBrainFallback(events, onFallback, { kind: "procedural", reason: "model-load-failed", error: err });
+      buildBrain({
+        ...generateProceduralBrain(),
+        uvs: null,
+        groups: [],
+        diagnostics: [],
+        diagnosticCount: 0,
+        step: PARTICLE_STEP, // already point-cloud density; quality levels thin it relative to this
+        source: "procedural",
+      });
+    });
+
+  function resizeRendererToDisplaySize(force = false) {
+    const { width, height } = host.size();
+    // Quality level caps the device ratio (not for captures); a changed ratio (zoom, other screen) resizes on the next frame
+    const pixelRatio = capture ? host.pixelRatio() : Math.min(host.pixelRatio(), quality.level.pixelRatio);
+    if (pixelRatio !== renderer.getPixelRatio()) {
+      renderer.setPixelRatio(pixelRatio);
+      force = true;
+    }
+    // Drawing buffer is CSS size × pixel ratio; comparing against the CSS size resized every frame
+    const needResize = force || canvas.width !== Math.floor(width * pixelRatio) || canvas.height !== Math.floor(height * pixelRatio);
+    if (needResize) {
+      renderer.setSize(width, height, false);
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+    }
+  }
+
+  function render(now) {
+    rafId = null;
+    const frameStart = performance.now();
+    now = now || frameStart;
+    const dt = (now - lastTime) / 1000;
+    lastTime = now;
+    // Frames on demand say nothing about how fast the device renders
+    if (adaptiveQuality && !reducedMotion) quality.sample(dt * 1000);
+    advance(dt, now / 1000);
+    draw(frameStart);
+    if (animating()) scheduleFrame();
+    else idle = true;
+  }
+
+  /** Move the animation on by `dt` seconds; `t` is the clock (s) that pathway and memory pulses follow. */
+  function advance(dt, t) {
+    controls.update(dt);
+
+    // Continuous rotation (loading + scan-in)
+    if (!reducedMotion) brainGroup.rotation.y += LOADING_ROTATION_SPEED * dt;
+
+    // Reveal animation (front sweeps across the mode's metric)
+    if (scanState.phase === "scanning") {
+      scanState.elapsed += dt * scanSpeed;
+      const progress = Math.min(scanState.elapsed / scanState.duration, 1);
+      const front = scanState.from + (scanState.to - scanState.from) * EASINGS[reveal.easing](progress);
+      if (brainPointsMaterial) {
+        brainPointsMaterial.uniforms.uFront.value = front;
+      }
+      
+      // Check if the sweep is complete
+      if (progress >= 1) completeScan();
+    }
+
+    // After scan complete, animate pathways and pulse nodes (held still with reduced motion)
+    if (scanState.phase === "complete") {
+      if (!reducedMotion) cycleTime = (cycleTime + dt) % network.cycleDuration;
+      network.update(cycleTime, t);
+    }
+    memoryGraph?.update(t);
+  }
+
+  function completeScan() {
+    // "forget" ends with nothing on screen; the other modes hand over to the pathway loop
+    scanState.phase = reveal.invert ? "forgotten" : "complete";
+    if (!reveal.invert) {
+      controls.autoRotate = !reducedMotion;
+      pathwaysGroup.visible = true;
+      interaction?.setEnabled(true);
+    }
+    perfTimeline.mark("brain:scan-complete", { mode: reveal.mode });
+    if (DEBUG) console.log("[brain] scan complete", reveal.mode, `${(performance.now() - t0).toFixed(0)}ms`);
+    events.emit("scanComplete", { mode: reveal.mode });
+  }
+
+  /** Jump a running reveal to its end state (reduced motion shows the result, not the sweep). */
+  function finishReveal() {
+    if (scanState.phase !== "scanning") return;
+    scanState.elapsed = scanState.duration;
+    if (brainPointsMaterial) brainPointsMaterial.uniforms.uFront.value = scanState.to;
+    completeScan();
+  }
+
+  function draw(frameStart) {
+    // Show canvas only after first draw to avoid white flash (frame stays visible with dark bg)
+    if (!frameShown) {
+      frameShown = true;
+      host.onFirstFrame();
+      perfTimeline.mark("brain:first-frame", null, frameStart);
+      if (DEBUG) console.log("[brain] first render frame", `${(frameStart - t0).toFixed(0)}ms`);
+    }
+    resizeRendererToDisplaySize();
+    brainGroup.updateMatrixWorld();
+    interaction?.update();
+    renderer.render(scene, camera);
+    stats.frameMs = performance.now() - frameStart;
+    stats.drawCalls = renderer.info.render.calls;
+    stats.points = renderer.info.render.points;
+    stats.triangles = renderer.info.render.triangles;
+    if (stats.frameMs > LONG_FRAME_MS && !capture) {
+      stats.longFrames++;
+      stats.longestFrameMs = Math.max(stats.longestFrameMs, stats.frameMs);
+      if (DEBUG) console.log("[brain] ⚠️ long frame", stats.frameMs.toFixed(1), "ms");
+    }
+  }
+
+  /** Pathway / memory clock in seconds: capture time, else wall-clock (matches rAF timestamps). */
+  function clockNow() {
+    return capture ? captureFrame / capture.fps : performance.now() / 1000;
+  }
+
+  /** Capture: back to time 0, the start of the reveal, with the camera and rotation where a fresh mount has them. */
+  function rewind() {
+    captureFrame = 0;
+    brainGroup.rotation.y = Math.PI / 2;
+    controls.reset();
+    restartScan();
+  }
+
+  /**
+   * Capture: move the clock to `seconds` after the reveal started (rounded to a whole frame). Going back
+   * replays from 0, so the state at a time never depends on the seeks before it.
+   */
+  function seek(seconds) {
+    if (!capture) throw new Error("seek() needs capture mode");
+    if (!(seconds >= 0)) throw new RangeError(`Seek time must be a non-negative number of seconds, got ${seconds}`);
+    if (disposed) return;
+    const target = Math.round(seconds * capture.fps);
+    if (target < captureFrame) rewind();
+    const dt = 1 / capture.fps;
+    while (captureFrame < target) {
+      captureFrame++;
+      advance(dt, captureFrame * dt);
+    }
+  }
+
+  /** Capture: draw the current time; the canvas holds the frame until the next call. */
+  function renderFrame() {
+    if (!capture) throw new Error("renderFrame() needs capture mode");
+    if (!disposed) draw(performance.now());
+  }
+
+  function pause() {
+    if (paused || disposed) return;
+    paused = true;
+    cancelFrame();
+  }
+
+  function resume() {
+    if (!paused || disposed) return;
+    paused = false;
+    lastTime = performance.now(); // don't jump the animation by the paused interval
+    quality.reset();
+    scheduleFrame();
+  }
+
+  function regionOrigin(name) {
+    return brainConfig.regions.find((region) => region.name === name)?.pos ?? null;
+  }
+
+  /** Restart the current reveal mode's sweep over the loaded model's bounds. */
+  function startReveal() {
+    scanState = {
+      phase: "scanning",
+      elapsed: 0,
+      ...computeRevealRange(reveal, modelBounds, regionOrigin(reveal.region)),
+    };
+    if (!brainPointsMaterial) return;
+    const u = brainPointsMaterial.uniforms;
+    u.uMetric.value = reveal.metric;
+    u.uAxis.value.fromArray(reveal.axis);
+    u.uOrigin.value.fromArray(scanState.origin);
+    u.uInvert.value = reveal.invert ? 1 : 0;
+    u.uScanWidth.value = reveal.width;
+    u.uFront.value = scanState.from;
+  }
+
+  /** Re-run the reveal from the start (or, for "forget", fade the brain out); pathways return once it completes. */
+  function replayScan() {
+    if (disposed) return;
+    if (capture) {
+      rewind(); // the capture clock restarts with the reveal
+      return;
+    }
+    restartScan();
+  }
+
+  function restartScan() {
+    startReveal();
+    controls.autoRotate = false;
+    pathwaysGroup.visible = false;
+    interaction?.setEnabled(false);
+    network.reset();
+    cycleTime = 0;
+    invalidate();
+  }
+
+  /**
+   * Host: the motion preference changed (motionPreference.js). Reducing it settles the scene into the
+   * composed still right away; restoring it restarts the loop where the scene is.
+   */
+  function setReducedMotion(next) {
+    next = Boolean(next);
+    if (disposed || next === reducedMotion) return;
+    reducedMotion = next;
+    network.setStill(next);
+    controls.enableDamping = !next;
+    controls.autoRotate = !next && scanState.phase === "complete";
+    if (next && loopStarted) finishReveal();
+    quality.reset();
+    events.emit("motionchange", { reduced: next });
+    invalidate();
+  }
+
+  /**
+   * Switch reveal mode at runtime. A mode name resets timing to that mode's defaults;
+   * an options object ({ mode, axis, region, duration, easing }) is merged into the current settings.
+   */
+  function setRevealMode(next, { replay = true } = {}) {
+    if (disposed) return;
+    revealOptions = typeof next === "string"
+      ? { ...revealOptions, mode: next, duration: undefined, easing: undefined }
+      : { ...revealOptions, ...next };
+    reveal = resolveReveal(revealOptions, host.dataset);
+    if (replay) replayScan();
+  }
+
+  /** Debug: reveal time multiplier (1 = authored speed); applies to the running sweep too. */
+  function setScanSpeed(multiplier) {
+    if (!(multiplier > 0)) throw new RangeError(`Scan speed must be a positive number, got ${multiplier}`);
+    scanSpeed = multiplier;
+  }
+
+  /**
+   * Debug: fix the point-cloud decimation step (1 = every vertex; surface samples draw PARTICLE_STEP / step of
+   * the budget, at most all of it); null hands it back to the quality governor.
+   * @returns {boolean} false when the full-resolution geometry wasn't kept (adaptiveQuality off, no ?debug=1)
+   */
+  function setParticleStep(step) {
+    if (disposed) return false;
+    if (step !== null && !(Number.isInteger(step) && step >= 1)) throw new RangeError(`Particle step must be a positive integer or null, got ${step}`);
+    if (!sourceGeo && sampledCount === null && brainPoints) return false;
+    particleStepOverride = step;
+    rebuildPoints();
+    invalidate();
+    return true;
+  }
+
+  /** Swap in a validated config: pathway lines and nodes are rebuilt, the scan keeps going. */
+  function applyConfig(next) {
+    brainConfig = next;
+    network.dispose();
+    network = createPathwayNetwork(next);
+    network.setTheme(brainTheme);
+    network.setStill(reducedMotion);
+    pathwaysGroup.add(network.group);
+    interaction?.setNetwork(network, next.regions);
+    memoryGraph?.setRegions(next.regions);
+    syncDecorativePathways();
+    cycleTime %= network.cycleDuration;
+    invalidate();
+    events.emit("configchange", { config: next });
+  }
+
+  /**
+   * Load a config object or JSON URL at runtime.
+   * Rejects with BrainConfigError (listing every problem) and leaves the current network in place when invalid.
+   */
+  async function setConfig(source) {
+    if (disposed) return;
+    try {
+      const next = await loadBrainConfig(source, abortController.signal);
+      if (!disposed) applyConfig(next);
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      events.emit("error", { stage: "config", error });
+      throw error;
+    }
+  }
+
+  /** Host: recolor fog, lights, point cloud and themed pathways/nodes in place; seen on the next frame. */
+  function applyTheme(next) {
+    if (disposed) return;
+    brainTheme = next;
+    scene.fog.color.set(next.fog);
+    ambientLight.color.set(next.light);
+    spotLight.color.set(next.light);
+    if (brainPointsMaterial) {
+      brainPointsMaterial.uniforms.uColor.value.set(next.points);
+      brainPointsMaterial.uniforms.uScanColor.value.set(next.scan);
+    }
+    network.setTheme(next);
+    invalidate();
+    events.emit("themechange", { theme: { ...next } });
+  }
+
+  /** Re-read the palette now (for watchTheme: false, or a change the watcher can't see). */
+  function refreshTheme() {
+    if (disposed) return;
+    host.refreshTheme();
+  }
+
+  /** In memory-graph mode the region nodes stay but the decorative flashes give way to the real links. */
+  function syncDecorativePathways() {
+    network.pathways.forEach(({ line }) => {
+      line.visible = !memoryGraph;
+    });
+  }
+
+  function ensureMemoryGraph() {
+    if (!memoryGraph) {
+      memoryGraph = createMemoryGraph({ regions: brainConfig.regions });
+      pathwaysGroup.add(memoryGraph.group);
+      syncDecorativePathways();
+    }
+    return memoryGraph;
+  }
+
+  function memoryGraphSummary() {
+    return {
+      count: memoryGraph.memories.length,
+      links: memoryGraph.links.length,
+      unplaced: memoryGraph.unplaced,
+      timeRange: memoryGraph.timeRange,
+    };
+  }
+
+  /**
+   * Render a memory graph (object or JSON URL) onto the brain, replacing any previous one.
+   * Rejects with MemoryGraphError (listing every problem) and keeps the current graph when invalid.
+   * @param {Object|string} source
+   * @param {{ animate?: boolean }} [opts] - store memories one by one in timestamp order (default true; never with reduced motion)
+   */
+  async function setMemoryGraph(source, { animate = true } = {}) {
+    if (disposed) return;
+    try {
+      const graph = await loadMemoryGraph(source, abortController.signal);
+      if (disposed) return;
+      ensureMemoryGraph().setGraph(graph, { animate: animate && !reducedMotion, now: clockNow() });
+      invalidate();
+      events.emit("memorygraph", memoryGraphSummary());
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      events.emit("error", { stage: "memory-graph", error });
+      throw error;
+    }
+  }
+
+  /**
+   * Store one memory at runtime (animated, unless motion is reduced). Throws MemoryGraphError for bad input.
+   * @param {{ id: string|number, type: string, timestamp: number|string|Date, label?: string }} memory
+   * @param {{ links?: Array<string|number> }} [opts] - ids of existing memories to link to
+   * @returns {{ id: string, placed: boolean }}
+   */
+  function addMemory(memory, { links = [] } = {}) {
+    if (disposed) return null;
+    const result = ensureMemoryGraph().addMemory(memory, { links, now: clockNow(), animate: !reducedMotion });
+    events.emit("memoryadded", result);
+    invalidate();
+    return result;
+  }
+
+  /** Time-scrubbing: show memories up to `time` (epoch ms, ISO string or Date); null shows all. */
+  function scrubMemories(time) {
+    if (disposed || !memoryGraph) return;
+    memoryGraph.scrubTo(time);
+    invalidate();
+  }
+
+  /** Leave memory-graph mode and bring back the decorative pathway loop. */
+  function clearMemories() {
+    if (disposed || !memoryGraph) return;
+    memoryGraph.dispose();
+    memoryGraph = null;
+    syncDecorativePathways();
+    invalidate();
+  }
+
+  function dispose() {
+    if (disposed) return;
+    disposed = true;
+    cancelFrame();
+    abortController.abort(); // also terminates an in-flight OBJ worker
+    interaction?.dispose();
+    controls.dispose();
+    disposeObjectTree(scene);
+    scene.clear();
+    sourceGeo?.dispose();
+    sourceGeo = null;
+    renderer.dispose();
+    host.onDispose();
+    events.clear();
+  }
+
+  if (DEBUG) console.log("[brain] scene core ready", `${(performance.now() - t0).toFixed(0)}ms`);
+
+  const controller = {
+    mode: "webgl",
+    offscreen: typeof OffscreenCanvas !== "undefined" && canvas instanceof OffscreenCanvas,
+    pause,
+    resume,
+    dispose,
+    replayScan,
+    setRevealMode,
+    setConfig,
+    setMemoryGraph,
+    addMemory,
+    scrubMemories,
+    clearMemories,
+    refreshTheme,
+    setScanSpeed,
+    setParticleStep,
+    seek,
+    renderFrame,
+    on: events.on,
+    off: events.off,
+    get config() {
+      return brainConfig;
+    },
+    get theme() {
+      return { ...brainTheme };
+    },
+    get memoryGraph() {
+      if (!memoryGraph) return null;
+      return { ...memoryGraphSummary(), memories: memoryGraph.memories, scrubTime: memoryGraph.scrubTime };
+    },
+    get activeRegion() {
+      const index = interaction?.active ?? null;
+      return index === null ? null : brainConfig.regions[index];
+    },
+    get reveal() {
+      return { ...reveal };
+    },
+    get paused() {
+      return paused;
+    },
+    get disposed() {
+      return disposed;
+    },
+    get reducedMotion() {
+      return reducedMotion;
+    },
+    get quality() {
+      return quality.level;
+    },
+    /** Last frame's render cost and counts, the session's long frames (> 50 ms), and the live settings (debug HUD). */
+    get stats() {
+      return {
+        ...stats,
+        pixelRatio: renderer.getPixelRatio(),
+        particleStep: pointStep(),
+        particleStepOverride,
+        particleStepAdjustable: !brainPoints || sampledCount !== null || sourceGeo !== null,
+        scanSpeed,
+        scanPhase: scanState.phase,
+      };
+    },
+    get groups() {
+      return modelGroups;
+    },
+    /** Capture mode's clock ({ time, frame, fps } plus the reveal and pathway cycle lengths in s); null otherwise. */
+    get clock() {
+      if (!capture) return null;
+      return {
+        time: captureFrame / capture.fps,
+        frame: captureFrame,
+        fps: capture.fps,
+        scanDuration: scanState.duration / scanSpeed,
+        cycleDuration: network.cycleDuration,
+      };
+    },
+  };
+  return { controller, setTheme: applyTheme, setVisible, setReducedMotion, invalidate };
+}
@@ -0,0 +1,373 @@
+// 2D canvas rendering of the brain for browsers without WebGL.
+// Projects the procedural point cloud and the configured region network by hand, with the
+// same bottom-to-top scan, rotation and pathway flashes as the WebGL scene, and the same still
+// picture, drawn only on change, when motion is reduced.
+
+import { createEmitter } from "./emitter.js";
+import { generateProceduralBrain } from "./proceduralBrain.js";
+import { DEFAULT_BRAIN_CONFIG, loadBrainConfig, validateBrainConfig } from "./brainConfig.js";
+import { pathwayOpacity, stillPathwayOpacity } from "./brainPathways.js";
+import { readBrainTheme, watchBrainTheme } from "./brainTheme.js";
+import { perfTimeline } from "./perfTimeline.js";
+import { watchCanvasVisibility } from "./canvasVisibility.js";
+import { motionPreference } from "./motionPreference.js";
+
+const POINT_COUNT = 4000;
+const ROTATION_SPEED = 0.07; // matches LOADING_ROTATION_SPEED
+const AUTO_ROTATE_SPEED = ((2 * Math.PI) / 60) * 0.3; // rad/s of OrbitControls autoRotateSpeed 0.3 at 60fps
+const SCAN_SPEED = 80;
+const SCAN_WIDTH = 15;
+const CAMERA_Z = 380;
+const FOV = (54 * Math.PI) / 180;
+const CURVE_SEGMENTS = 16;
+
+/** Config colors may be CSS strings or 0xRRGGBB numbers; canvas wants strings. */
+function cssColor(color) {
+  return typeof color === "number" ? `#${color.toString(16).padStart(6, "0")}` : color;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [options]
+ * @param {boolean} [options.autoPause=true]
+ * @param {ReturnType<typeof createEmitter>} [options.events] - emitter to publish on (initBrainScene passes its own)
+ * @param {Object} [options.config] - brain config, already validated or raw (see brainConfig.js)
+ * @param {boolean} [options.watchTheme=true] - follow the --mk-brain-* palette live (brainTheme.js)
+ * @param {boolean} [options.reducedMotion] - fixed motion setting; by default the shared preference is followed (motionPreference.js)
+ * @returns same controller shape as initBrainScene, with `mode: "2d"`
+ */
+export function initBrainFallback2D(canvas, { autoPause = true, events = createEmitter(), config = DEFAULT_BRAIN_CONFIG, watchTheme = true, reducedMotion: reducedMotionOption } = {}) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("2D canvas context unavailable");
+
+  let brainConfig = validateBrainConfig(config);
+  const themeWatcher = watchTheme ? watchBrainTheme(canvas, applyTheme) : null;
+  let brainTheme = themeWatcher?.theme ?? readBrainTheme(canvas);
+
+  // Picked up by the next frame; with reduced motion that frame has to be asked for
+  function applyTheme(next) {
+    brainTheme = next;
+    scheduleFrame();
+    events.emit("themechange", { theme: { ...next } });
+  }
+
+  const { positions } = generateProceduralBrain({ count: POINT_COUNT });
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (let i = 1; i < positions.length; i += 3) {
+    minY = Math.min(minY, positions[i]);
+    maxY = Math.max(maxY, positions[i]);
+  }
+
+  let angle = Math.PI / 2;
+  let phase = "scanning";
+  let scanY = minY - 10;
+  let cycleTime = 0;
+  let lastTime = performance.now();
+  let rafId = null;
+  let paused = false;
+  let disposed = false;
+  let frameShown = false;
+  let scanSpeed = 1;
+  let frameMs = 0;
+  let reducedMotion = reducedMotionOption ?? motionPreference.reduced;
+
+  const visibility = autoPause ? watchCanvasVisibility(canvas, onVisibleChange) : null;
+  const stopMotion = reducedMotionOption === undefined ? motionPreference.on("change", ({ reduced }) => setReducedMotion(reduced)) : null;
+  const resizeObserver = typeof ResizeObserver === "function" ? new ResizeObserver(() => scheduleFrame()) : null;
+  resizeObserver?.observe(canvas);
+
+  function onVisibleChange(visible) {
+    if (visible) {
+      lastTime = performance.now();
+      scheduleFrame();
+    } else {
+      cancelFrame();
+    }
+  }
+
+  function scheduleFrame() {
+    if (rafId === null && !paused && !disposed && (!visibility || visibility.visible)) {
+      rafId = requestAnimationFrame(render);
+    }
+  }
+
+  function cancelFrame() {
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    rafId = null;
+  }
+
+  function completeScan() {
+    phase = "complete";
+    perfTimeline.mark("brain:scan-complete", { mode: "plane" });
+    events.emit("scanComplete", { mode: "plane" });
+  }
+
+  /** Reduced motion: show the end of the reveal instead of the sweep. */
+  function finishReveal() {
+    if (phase !== "scanning") return;
+    scanY = maxY + 10;
+    completeScan();
+  }
+
+  function setReducedMotion(next) {
+    if (disposed || next === reducedMotion) return;
+    reducedMotion = next;
+    if (next) finishReveal();
+    lastTime = performance.now();
+    events.emit("motionchange", { reduced: next });
+    scheduleFrame();
+  }
+
+  function resize() {
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const parent = canvas.parentElement;
+    const width = Math.max(canvas.clientWidth || parent?.clientWidth || 0, 1);
+    const height = Math.max(canvas.clientHeight || parent?.clientHeight || 0, 1);
+    const bufferWidth = Math.floor(width * dpr);
+    const bufferHeight = Math.floor(height * dpr);
+    if (canvas.width !== bufferWidth || canvas.height !== bufferHeight) {
+      canvas.width = bufferWidth;
+      canvas.height = bufferHeight;
+    }
+  }
+
+  /** Rotate around Y, then perspective-project like the WebGL camera. Returns [x, y, depth]. */
+  function project(x, y, z, out) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const rx = x * cos + z * sin;
+    const rz = -x * sin + z * cos;
+    const depth = CAMERA_Z - rz;
+    const scale = canvas.height / 2 / Math.tan(FOV / 2) / depth;
+    out[0] = canvas.width / 2 + rx * scale;
+    out[1] = canvas.height / 2 - y * scale;
+    out[2] = depth;
+    return out;
+  }
+
+  const p = [0, 0, 0];
+
+  function drawPoints() {
+    const base = new Path2D();
+    const glow = new Path2D();
+    for (let i = 0; i < positions.length; i += 3) {
+      const y = positions[i + 1];
+      if (y > scanY) continue; // revealed below the scan line only
+      project(positions[i], y, positions[i + 2], p);
+      const size = 2.2 * (300 / p[2]);
+      const path = phase === "scanning" && Math.abs(y - scanY) < SCAN_WIDTH ? glow : base;
+      path.rect(p[0] - size / 2, p[1] - size / 2, size, size);
+    }
+    ctx.fillStyle = brainTheme.points;
+    ctx.globalAlpha = 0.55;
+    ctx.fill(base);
+    ctx.fillStyle = brainTheme.scan;
+    ctx.globalAlpha = 0.95;
+    ctx.fill(glow);
+    ctx.globalAlpha = 1;
+  }
+
+  function drawPathways(t) {
+    ctx.lineWidth = Math.max(1, canvas.height / 520);
+    const { regions, nodes } = brainConfig;
+    const { connections, cycleDuration } = brainConfig.pathways;
+    for (const connection of connections) {
+      const opacity = reducedMotion ? stillPathwayOpacity(connection) : pathwayOpacity(connection, cycleTime, cycleDuration);
+      if (opacity <= 0.01) continue;
+      const a = regions[connection.fromIndex].pos;
+      const b = regions[connection.toIndex].pos;
+      const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2 + connection.curveHeight, (a[2] + b[2]) / 2];
+      ctx.beginPath();
+      for (let s = 0; s <= CURVE_SEGMENTS; s++) {
+        const u = s / CURVE_SEGMENTS;
+        const w0 = (1 - u) * (1 - u);
+        const w1 = 2 * (1 - u) * u;
+        const w2 = u * u;
+        project(w0 * a[0] + w1 * mid[0] + w2 * b[0], w0 * a[1] + w1 * mid[1] + w2 * b[1], w0 * a[2] + w1 * mid[2] + w2 * b[2], p);
+        if (s === 0) ctx.moveTo(p[0], p[1]);
+        else ctx.lineTo(p[0], p[1]);
+      }
+      ctx.globalAlpha = opacity;
+      ctx.strokeStyle = connection.themed ? brainTheme.pathway : cssColor(connection.color);
+      ctx.stroke();
+    }
+
+    const pulse = reducedMotion ? 0 : 1;
+    ctx.globalAlpha = Math.max(0, Math.min(1, nodes.opacity + pulse * nodes.opacityPulse * Math.sin(t * 2)));
+    const nodeSize = nodes.size + pulse * nodes.sizePulse * Math.sin(t * 1.5);
+    ctx.fillStyle = nodes.themed ? brainTheme.node : cssColor(nodes.color);
+    for (const region of regions) {
+      project(region.pos[0], region.pos[1], region.pos[2], p);
+      ctx.beginPath();
+      ctx.arc(p[0], p[1], Math.max(1, (nodeSize * 300) / p[2] / 2), 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  function render(now) {
+    rafId = null;
+    const frameStart = performance.now();
+    if (!frameShown) {
+      frameShown = true;
+      canvas.style.opacity = "1";
+      perfTimeline.mark("brain:first-frame", { mode: "2d" }, frameStart);
+    }
+    const dt = Math.min((now - lastTime) / 1000, 0.1);
+    lastTime = now;
+    resize();
+
+    if (!reducedMotion) angle += (ROTATION_SPEED + (phase === "complete" ? AUTO_ROTATE_SPEED : 0)) * dt;
+    if (phase === "scanning") {
+      scanY += SCAN_SPEED * scanSpeed * dt;
+      if (scanY > maxY + 10) completeScan();
+    } else if (!reducedMotion) {
+      cycleTime = (cycleTime + dt) % brainConfig.pathways.cycleDuration;
+    }
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawPoints();
+    if (phase === "complete") drawPathways(now / 1000);
+    frameMs = performance.now() - frameStart;
+    // With reduced motion only a (requested) reveal keeps frames coming
+    if (!reducedMotion || phase === "scanning") scheduleFrame();
+  }
+
+  function pause() {
+    if (paused || disposed) return;
+    paused = true;
+    cancelFrame();
+  }
+
+  function resume() {
+    if (!paused || disposed) return;
+    paused = false;
+    lastTime = performance.now();
+    scheduleFrame();
+  }
+
+  function replayScan() {
+    if (disposed) return;
+    phase = "scanning";
+    scanY = minY - 10;
+    cycleTime = 0;
+    scheduleFrame();
+  }
+
+  /** Only the bottom-to-top plane reveal is drawn in 2D; switching modes just replays it. */
+  function setRevealMode(next, { replay = true } = {}) {
+    if (replay) replayScan();
+  }
+
+  async function setConfig(source) {
+    if (disposed) return;
+    try {
+      const next = await loadBrainConfig(source);
+      if (disposed) return;
+      brainConfig = next;
+      cycleTime %= next.pathways.cycleDuration;
+      scheduleFrame();
+      events.emit("configchange", { config: next });
+    } catch (error) {
+      events.emit("error", { stage: "config", error });
+      throw error;
+    }
+  }
+
+  // Memory-graph mode needs the WebGL scene; the 2D fallback keeps its decorative loop
+  async function setMemoryGraph() {
+    throw new Error("Memory graph mode requires WebGL");
+  }
+
+  function dispose() {
+    if (disposed) return;
+    disposed = true;
+    cancelFrame();
+    visibility?.disconnect();
+    themeWatcher?.disconnect();
+    stopMotion?.();
+    resizeObserver?.disconnect();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    canvas.style.opacity = "0";
+    events.clear();
+  }
+
+  if (reducedMotion) queueMicrotask(finishReveal); // "scanComplete" once the caller has subscribed
+  lastTime = performance.now();
+  scheduleFrame();
+
+  return {
+    mode: "2d",
+    offscreen: false,
+    pause,
+    resume,
+    dispose,
+    replayScan,
+    setRevealMode,
+    setConfig,
+    setMemoryGraph,
+    addMemory() {
+      return null;
+    },
+    scrubMemories() {},
+    clearMemories() {},
+    setScanSpeed(multiplier) {
+      if (!(multiplier > 0)) throw new RangeError(`Scan speed must be a positive number, got ${multiplier}`);
+      scanSpeed = multiplier;
+    },
+    // The 2D point cloud is generated at a fixed count
+    setParticleStep() {
+      return false;
+    },
+    seek() {
+      throw new Error("Capture mode needs WebGL");
+    },
+    renderFrame() {
+      throw new Error("Capture mode needs WebGL");
+    },
+    refreshTheme() {
+      if (disposed) return;
+      if (themeWatcher) themeWatcher.refresh();
+      else applyTheme(readBrainTheme(canvas));
+    },
+    on: events.on,
+    off: events.off,
+    get config() {
+      return brainConfig;
+    },
+    get theme() {
+      return { ...brainTheme };
+    },
+    get memoryGraph() {
+      return null;
+    },
+    get activeRegion() {
+      return null;
+    },
+    get reveal() {
+      return { mode: "plane" };
+    },
+    get paused() {
+      return paused;
+    },
+    get disposed() {
+      return disposed;
+    },
+    get reducedMotion() {
+      return reducedMotion;
+    },
+    get quality() {
+      return null;
+    },
+    get stats() {
+      return { frameMs, drawCalls: null, points: POINT_COUNT, triangles: 0, pixelRatio: Math.min(window.devicePixelRatio || 1, 2), particleStep: null, particleStepOverride: null, scanSpeed, scanPhase: phase };
+    },
+    get groups() {
+      return [];
+    },
+    get clock() {
+      return null;
+    },
+  };
+}
@@ -0,0 +1,278 @@
+// Opt-in interaction for the brain's region nodes: pointer hover/click via raycasting on the
+// canvas, plus a row of real (visually minimal) buttons kept over each node so keyboard and
+// screen-reader users get the same regions, tooltips and selection.
+
+import * as THREE from "../vendor/three@0.160.0/build/three.module.js";
+import { currentTranslator } from "./i18n.js";
+
+const HIT_THRESHOLD = 10; // world units around a node that count as a hit
+const CLICK_SLOP = 6; // px a pointer may move between down and up and still count as a click (not an orbit drag)
+const TOOLTIP_OFFSET = 14;
+const REGIONS_LABEL = "Memory regions"; // catalog key brain.regions
+
+let instanceCount = 0;
+
+/**
+ * @param {Object} opts
+ * @param {HTMLCanvasElement} opts.canvas
+ * @param {THREE.Camera} opts.camera
+ * @param {ReturnType<import("./emitter.js").createEmitter>} opts.events - receives "regionhover" and "regionselect"
+ * @returns {{ setNetwork(network: Object, regions: Object[]): void, setEnabled(enabled: boolean): void, update(): void, select(index: number): void, readonly active: number|null, dispose(): void }}
+ */
+export function createRegionInteraction({ canvas, camera, events }) {
+  const frame = canvas.parentElement;
+  const id = `mk-brain-tooltip-${++instanceCount}`;
+  const raycaster = new THREE.Raycaster();
+  raycaster.params.Points.threshold = HIT_THRESHOLD;
+  const ndc = new THREE.Vector2();
+  const projected = new THREE.Vector3();
+
+  let network = null;
+  let regions = [];
+  let buttons = [];
+  let enabled = false;
+  let hovered = null; // region under the pointer
+  let focused = null; // region whose button has focus
+  let pinned = null; // region tapped/clicked; keeps its tooltip until dismissed
+  let active = null;
+  let lastPointer = null; // client coords while the pointer is over the canvas
+  let downAt = null;
+
+  // The frame was decorative (aria-hidden); it now holds focusable controls
+  const frameHidden = frame.getAttribute("aria-hidden");
+  frame.removeAttribute("aria-hidden");
+  frame.classList.add("mk-brain-frame--interactive");
+  canvas.style.pointerEvents = "auto";
+  canvas.style.touchAction = "pan-y"; // OrbitControls sets "none"; keep vertical page scrolling on touch
+
+  const overlay = document.createElement("div");
+  overlay.className = "mk-brain-regions";
+  overlay.setAttribute("role", "toolbar");
+  overlay.hidden = true;
+
+  const tooltip = document.createElement("div");
+  tooltip.className = "mk-brain-tooltip";
+  tooltip.id = id;
+  tooltip.setAttribute("role", "tooltip");
+  tooltip.hidden = true;
+  const tooltipTitle = document.createElement("strong");
+  const tooltipText = document.createElement("span");
+  tooltip.append(tooltipTitle, tooltipText);
+
+  frame.append(overlay, tooltip);
+
+  const translateLabel = (translator) => overlay.setAttribute("aria-label", translator?.t("brain.regions", {}, REGIONS_LABEL) ?? REGIONS_LABEL);
+  const onLocaleChange = ({ detail }) => translateLabel(detail);
+  translateLabel(currentTranslator());
+
+  function buildButtons() {
+    overlay.replaceChildren();
+    buttons = regions.map((region, index) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "mk-brain-region";
+      button.textContent = region.label;
+      button.dataset.region = region.name;
+      button.tabIndex = index === 0 ? 0 : -1; // roving tabindex: one tab stop, arrows move within
+      button.setAttribute("aria-describedby", id);
+      button.addEventListener("focus", () => {
+        focused = index;
+        setRovingIndex(index);
+        refresh();
+      });
+      button.addEventListener("blur", () => {
+        if (focused === index) focused = null;
+        refresh();
+      });
+      button.addEventListener("click", () => select(index, "keyboard"));
+      overlay.append(button);
+      return button;
+    });
+  }
+
+  function setRovingIndex(index) {
+    buttons.forEach((button, i) => {
+      button.tabIndex = i === index ? 0 : -1;
+    });
+  }
+
+  function onOverlayKeyDown(e) {
+    const current = buttons.indexOf(document.activeElement);
+    if (current === -1) return;
+    let next = null;
+    if (e.key === "ArrowRight" || e.key === "ArrowDown") next = (current + 1) % buttons.length;
+    else if (e.key === "ArrowLeft" || e.key === "ArrowUp") next = (current - 1 + buttons.length) % buttons.length;
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = buttons.length - 1;
+    else if (e.key === "Escape") {
+      pinned = null;
+      hideTooltip();
+      return;
+    }
+    if (next === null) return;
+    e.preventDefault();
+    buttons[next].focus();
+  }
+
+  /** Region index under a client-space point, or null. */
+  function pick(clientX, clientY) {
+    if (!network) return null;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    ndc.set(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+    raycaster.setFromCamera(ndc, camera);
+    const [hit] = raycaster.intersectObject(network.nodes, false);
+    return hit ? hit.index : null;
+  }
+
+  function onPointerMove(e) {
+    lastPointer = { x: e.clientX, y: e.clientY };
+  }
+
+  function onPointerLeave() {
+    lastPointer = null;
+    setHovered(null);
+  }
+
+  function onPointerDown(e) {
+    downAt = { x: e.clientX, y: e.clientY };
+  }
+
+  function onClick(e) {
+    if (!enabled) return;
+    if (downAt && Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > CLICK_SLOP) return;
+    const index = pick(e.clientX, e.clientY);
+    if (index === null) {
+      pinned = null;
+      refresh();
+      return;
+    }
+    select(index, "pointer");
+  }
+
+  function setHovered(index) {
+    if (hovered === index) return;
+    hovered = index;
+    canvas.style.cursor = index === null ? "" : "pointer";
+    events.emit("regionhover", { index, region: index === null ? null : regions[index] });
+    refresh();
+  }
+
+  /** Highlight and tooltip follow focus first, then hover, then the last click/tap. */
+  function refresh() {
+    const next = enabled ? focused ?? hovered ?? pinned : null;
+    if (next === active) return;
+    active = next;
+    network?.highlight(active);
+    if (active === null) {
+      hideTooltip();
+      return;
+    }
+    tooltipTitle.textContent = regions[active].label;
+    tooltipText.textContent = regions[active].description;
+    tooltip.hidden = false;
+  }
+
+  function hideTooltip() {
+    tooltip.hidden = true;
+  }
+
+  function select(index, source = "api") {
+    const region = regions[index];
+    if (!region) return;
+    pinned = index;
+    refresh();
+    const detail = { index, region, source };
+    events.emit("regionselect", detail);
+    canvas.dispatchEvent(new CustomEvent("mk:regionselect", { bubbles: true, detail }));
+  }
+
+  /** Screen position of region `index` in frame pixels, or null when behind the camera. */
+  function screenPosition(index) {
+    projected.fromArray(regions[index].pos);
+    network.nodes.localToWorld(projected);
+    projected.project(camera);
+    if (projected.z > 1) return null;
+    return {
+      x: ((projected.x + 1) / 2) * canvas.clientWidth + canvas.offsetLeft,
+      y: ((1 - projected.y) / 2) * canvas.clientHeight + canvas.offsetTop,
+    };
+  }
+
+  /** Per frame: re-pick under a still pointer (the brain keeps rotating) and keep buttons/tooltip on their nodes. */
+  function update() {
+    if (!enabled || !network) return;
+    if (lastPointer) setHovered(pick(lastPointer.x, lastPointer.y));
+    buttons.forEach((button, index) => {
+      const pos = screenPosition(index);
+      button.style.visibility = pos ? "" : "hidden";
+      if (pos) button.style.transform = `translate(${pos.x.toFixed(1)}px, ${pos.y.toFixed(1)}px) translate(-50%, -50%)`;
+    });
+    if (active !== null && !tooltip.hidden) {
+      const pos = screenPosition(active);
+      if (!pos) return;
+      const maxX = frame.clientWidth - tooltip.offsetWidth;
+      const maxY = frame.clientHeight - tooltip.offsetHeight;
+      const x = Math.max(0, Math.min(pos.x + TOOLTIP_OFFSET, maxX));
+      const y = Math.max(0, Math.min(pos.y + TOOLTIP_OFFSET, maxY));
+      tooltip.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+    }
+  }
+
+  function setNetwork(nextNetwork, nextRegions) {
+    const activeName = active === null ? null : regions[active]?.name;
+    network = nextNetwork;
+    regions = nextRegions;
+    const hadFocus = buttons.includes(document.activeElement);
+    buildButtons();
+    hovered = focused = pinned = active = null;
+    const keep = regions.findIndex((region) => region.name === activeName);
+    if (keep !== -1 && hadFocus) buttons[keep].focus();
+    else refresh();
+  }
+
+  /** Regions only respond once the pathways are showing (after the reveal). */
+  function setEnabled(next) {
+    enabled = next;
+    overlay.hidden = !next;
+    if (!next) {
+      hovered = pinned = null;
+      canvas.style.cursor = "";
+    }
+    refresh();
+  }
+
+  overlay.addEventListener("keydown", onOverlayKeyDown);
+  canvas.addEventListener("pointermove", onPointerMove);
+  canvas.addEventListener("pointerleave", onPointerLeave);
+  canvas.addEventListener("pointerdown", onPointerDown);
+  canvas.addEventListener("click", onClick);
+  document.addEventListener("mk:localechange", onLocaleChange);
+
+  function dispose() {
+    overlay.removeEventListener("keydown", onOverlayKeyDown);
+    canvas.removeEventListener("pointermove", onPointerMove);
+    canvas.removeEventListener("pointerleave", onPointerLeave);
+    canvas.removeEventListener("pointerdown", onPointerDown);
+    canvas.removeEventListener("click", onClick);
+    document.removeEventListener("mk:localechange", onLocaleChange);
+    overlay.remove();
+    tooltip.remove();
+    frame.classList.remove("mk-brain-frame--interactive");
+    if (frameHidden !== null) frame.setAttribute("aria-hidden", frameHidden);
+    canvas.style.cursor = "";
+    canvas.style.pointerEvents = "none";
+    canvas.style.touchAction = "";
+  }
+
+  return {
+    setNetwork,
+    setEnabled,
+    update,
+    select,
+    get active() {
+      return active;
+    },
+    dispose,
+  };
+}
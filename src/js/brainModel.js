@@ -0,0 +1,223 @@
+/**
+ * Brain model loading: prefers the compact binary (.mkm) asset and falls back
+ * to fetching the OBJ and parsing it in objParser.worker.js when no binary is available.
+ * Parsed OBJ geometry is kept in IndexedDB (geometryCache.js) so repeat visits skip download + parse.
+ * Triangle meshes can then be resampled into an even point cloud in surfaceSampler.worker.js.
+ * Each phase (download, decode, cache lookup, worker parse, sampling) is recorded on the perf timeline (perfTimeline.js).
+ */
+import { decodeMesh } from "./meshFormat.js";
+import { fetchContentVersion, openGeometryCache } from "./geometryCache.js";
+import { perfTimeline } from "./perfTimeline.js";
+
+const DEBUG = /[?&]debug=1/.test(location.search);
+const NO_CACHE = /[?&]nocache=1/.test(location.search); // debug switch: always fetch + parse
+
+export class ModelLoadError extends Error {
+  /**
+   * @param {"fetch"|"worker"|"decode"} stage
+   * @param {string} message
+   * @param {unknown} [cause]
+   */
+  constructor(stage, message, cause) {
+    super(message, { cause });
+    this.name = "ModelLoadError";
+    this.stage = stage;
+  }
+}
+
+async function fetchOk(url, signal) {
+  let res;
+  try {
+    res = await fetch(url, { signal });
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    throw new ModelLoadError("fetch", `Fetch ${url} failed`, err);
+  }
+  if (!res.ok) throw new ModelLoadError("fetch", `Fetch ${url} ${res.status}`);
+  return res;
+}
+
+/**
+ * Reads a response body, reporting bytes as they arrive. `total` is 0 when unknown
+ * (no Content-Length, or a compressed length smaller than the decoded body).
+ */
+async function readBody(res, phase, onProgress) {
+  const total = Number(res.headers.get("content-length")) || 0;
+  if (!onProgress || !res.body) return res.arrayBuffer();
+  const reader = res.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({ phase, loaded, total: total >= loaded ? total : 0 });
+  }
+  const out = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return out.buffer;
+}
+
+/**
+ * Runs one job in a module worker that answers with progress messages and then a single result or error
+ * (objParser.worker.js, surfaceSampler.worker.js); the worker is terminated on abort.
+ * Workers don't see the page's query string, so the job carries `debug`; with it the worker logs and
+ * reports its own compute time, recorded here on the perf timeline.
+ */
+function runWorker(script, message, { signal, onProgress, phase }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(script, import.meta.url), { type: "module" });
+    const onAbort = () => {
+      worker.terminate();
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const settle = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    worker.onmessage = (e) => {
+      const { type, ...data } = e.data;
+      if (type === "progress") {
+        onProgress?.({ phase, loaded: data.loaded, total: data.total });
+        return;
+      }
+      if (type === "perf") {
+        const end = performance.now(); // worker clocks have their own origin: only the duration carries over
+        perfTimeline.measure(data.name, end - data.duration, end, data.detail ?? null);
+        return;
+      }
+      settle();
+      if (type === "error" || !data.positions || data.positions.length === 0) {
+        reject(new ModelLoadError("worker", data.error || `Empty ${phase} result`));
+        return;
+      }
+      resolve(data);
+    };
+    worker.onerror = (e) => {
+      settle();
+      reject(new ModelLoadError("worker", e.message || `${script} failed`));
+    };
+    worker.postMessage({ ...message, debug: DEBUG });
+  });
+}
+
+/** Parses OBJ text in a module worker. */
+function parseObjInWorker(text, signal, onProgress) {
+  return runWorker("./objParser.worker.js", { text }, { signal, onProgress, phase: "parse" });
+}
+
+/**
+ * Area-weighted point sampling of a triangle soup in a module worker (surfaceSampler.js options).
+ * The arrays are copied to the worker, not transferred: the caller may still be caching them.
+ */
+export function sampleSurfaceInWorker(positions, normals, options, { signal, onProgress } = {}) {
+  return runWorker("./surfaceSampler.worker.js", { positions, normals, options }, { signal, onProgress, phase: "sample" });
+}
+
+/**
+ * @param {Object} opts
+ * @param {string|null} [opts.binaryUrl] - .mkm asset; skipped when null
+ * @param {string} opts.objUrl - fallback OBJ
+ * @param {AbortSignal} [opts.signal]
+ * @param {(progress: { phase: "download"|"parse"|"sample", loaded: number, total: number }) => void} [opts.onProgress]
+ * @param {boolean} [opts.cache=true] - use the IndexedDB geometry cache for the OBJ path (`?nocache=1` disables it)
+ * @param {string|null} [opts.version] - content version for the cache key; defaults to the OBJ's ETag / Last-Modified
+ * @param {{ count: number, seed?: number, blueNoise?: boolean }|null} [opts.sample] - resample triangle meshes into
+ *   `count` evenly spread points (surfaceSampler.js); pre-decimated point sets are left as they are
+ * @returns {Promise<{ positions: Float32Array, normals: Float32Array|null, uvs: Float32Array|null, groups: Array, materials: string[], diagnostics: Array, diagnosticCount: number, step: number, source: "binary"|"obj"|"cache", samples: { positions: Float32Array, normals: Float32Array }|null }>}
+ *   `step` > 1 means positions are an already-decimated point set rather than a triangle soup.
+ *   `groups` are OBJ o/g/usemtl draw ranges; `diagnostics` lists malformed lines the parser skipped.
+ *   `samples` is the sampled point cloud, or null when sampling was off, not applicable or failed (decimate instead).
+ */
+export async function loadBrainModel({ sample = null, signal, onProgress, ...opts }) {
+  const model = await loadMesh({ ...opts, signal, onProgress });
+  if (!sample || model.step !== 1) return { ...model, samples: null };
+  const endSample = perfTimeline.begin("model:sample", { count: sample.count, blueNoise: Boolean(sample.blueNoise) });
+  try {
+    const { positions, normals } = await sampleSurfaceInWorker(model.positions, model.normals, sample, { signal, onProgress });
+    endSample({ triangles: model.positions.length / 9 });
+    return { ...model, samples: { positions, normals } };
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    endSample({ error: err.message });
+    if (DEBUG) console.warn("[brain] surface sampling failed, decimating instead", err);
+    return { ...model, samples: null };
+  }
+}
+
+async function loadMesh({ binaryUrl = null, objUrl, signal, onProgress, cache = true, version = null }) {
+  if (binaryUrl) {
+    try {
+      const endDownload = perfTimeline.begin("model:download", { url: binaryUrl, format: "binary" });
+      const res = await fetchOk(binaryUrl, signal);
+      const body = await readBody(res, "download", onProgress);
+      endDownload({ bytes: body.byteLength });
+      const endDecode = perfTimeline.begin("model:decode", { format: "binary" });
+      const mesh = decodeMesh(body);
+      endDecode({ points: mesh.positions.length / 3 });
+      return {
+        positions: mesh.positions,
+        normals: mesh.normals,
+        uvs: null,
+        groups: [],
+        materials: [],
+        diagnostics: [],
+        diagnosticCount: 0,
+        step: mesh.step,
+        source: "binary",
+      };
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      perfTimeline.mark("model:binary-unavailable", { reason: err.message });
+      if (DEBUG) console.log("[brain] binary model unavailable, falling back to OBJ", err.message);
+    }
+  }
+
+  const useCache = cache && !NO_CACHE;
+  const geometryCache = useCache ? await openGeometryCache() : null;
+  let cacheVersion = null;
+  let parsed;
+  try {
+    const endLookup = geometryCache ? perfTimeline.begin("model:cache-lookup", { url: objUrl }) : null;
+    cacheVersion = geometryCache ? version ?? (await fetchContentVersion(objUrl, signal).catch(() => null)) : null;
+    const hit = cacheVersion ? await geometryCache.get(objUrl, cacheVersion).catch(() => null) : null;
+    endLookup?.({ version: cacheVersion, hit: Boolean(hit) });
+    if (hit) {
+      if (DEBUG) console.log("[brain] geometry cache hit", objUrl, cacheVersion);
+      geometryCache.close();
+      return { ...hit.arrays, ...hit.meta, diagnostics: [], step: 1, source: "cache" };
+    }
+
+    const endDownload = perfTimeline.begin("model:download", { url: objUrl, format: "obj" });
+    const res = await fetchOk(objUrl, signal);
+    const body = await readBody(res, "download", onProgress);
+    endDownload({ bytes: body.byteLength });
+    const text = new TextDecoder().decode(body);
+    if (DEBUG) console.log("[brain] OBJ fetched, parsing in worker");
+    const endParse = perfTimeline.begin("model:parse", { format: "obj" });
+    parsed = await parseObjInWorker(text, signal, onProgress);
+    endParse({ vertices: parsed.positions.length / 3, diagnostics: parsed.diagnosticCount });
+    if (DEBUG && parsed.diagnosticCount) console.warn(`[brain] OBJ has ${parsed.diagnosticCount} problem(s)`, parsed.diagnostics);
+  } catch (err) {
+    geometryCache?.close();
+    throw err;
+  }
+
+  if (cacheVersion) {
+    // Written in the background; the connection closes once the write (and eviction) settle
+    const { positions, normals, uvs, groups, materials, diagnosticCount } = parsed;
+    geometryCache
+      .put(objUrl, cacheVersion, { positions, normals, uvs }, { groups, materials, diagnosticCount })
+      .catch((err) => DEBUG && console.warn("[brain] geometry cache write failed", err))
+      .finally(() => geometryCache.close());
+  } else {
+    geometryCache?.close();
+  }
+  return { ...parsed, step: 1, source: "obj" };
+}
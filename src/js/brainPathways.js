@@ -0,0 +1,173 @@
+// Thinking pathways: curved lines between brain regions that flash in turn, plus pulsing
+// region nodes. Built from a validated brain config (brainConfig.js) so the network can be
+// rebuilt at runtime without touching the rest of the scene. With reduced motion the network is
+// drawn still: every pathway at once at a steady opacity, nodes without the pulse.
+
+import * as THREE from "../vendor/three@0.160.0/build/three.module.js";
+
+const CURVE_SEGMENTS = 30;
+const DIMMED = 0.25; // pathway opacity multiplier for lines not touching the highlighted region
+const STILL_SHARE = 0.55; // still network: share of each pathway's flash peak it is drawn at
+
+// Create curved path between two points (quadratic bezier raised by `height` at the middle)
+export function createCurvedPath(start, end, segments = 20, height = 30) {
+  const points = [];
+  const midPoint = new THREE.Vector3(
+    (start[0] + end[0]) / 2,
+    (start[1] + end[1]) / 2 + height,
+    (start[2] + end[2]) / 2
+  );
+
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const x = (1 - t) * (1 - t) * start[0] + 2 * (1 - t) * t * midPoint.x + t * t * end[0];
+    const y = (1 - t) * (1 - t) * start[1] + 2 * (1 - t) * t * midPoint.y + t * t * end[1];
+    const z = (1 - t) * (1 - t) * start[2] + 2 * (1 - t) * t * midPoint.z + t * t * end[2];
+    points.push(new THREE.Vector3(x, y, z));
+  }
+  return points;
+}
+
+/** Opacity of a pathway `pathTime` seconds into its slot: sine flash, then linear fade-out. */
+export function pathwayOpacity(connection, cycleTime, cycleDuration) {
+  const pathTime = (cycleTime - connection.delay + cycleDuration) % cycleDuration;
+  if (pathTime < connection.duration) {
+    return Math.sin((pathTime / connection.duration) * Math.PI) * connection.opacity;
+  }
+  if (pathTime < connection.duration + connection.fadeOut) {
+    return connection.opacity * (1 - (pathTime - connection.duration) / connection.fadeOut);
+  }
+  return 0;
+}
+
+/** Opacity of a pathway in the still (reduced-motion) network. */
+export function stillPathwayOpacity(connection) {
+  return connection.opacity * STILL_SHARE;
+}
+
+/**
+ * @param {ReturnType<import("./brainConfig.js").validateBrainConfig>} config
+ * @returns {{ group: THREE.Group, pathways: Array<{ line: THREE.Line, connection: Object }>, nodes: THREE.Points, nodeMaterial: THREE.PointsMaterial, cycleDuration: number, update(cycleTime: number, t: number): void, highlight(index: number|null): void, setStill(still: boolean): void, setTheme(theme: Object): void, reset(): void, dispose(): void }}
+ */
+export function createPathwayNetwork(config) {
+  const group = new THREE.Group();
+  const { regions } = config;
+  const { cycleDuration, connections } = config.pathways;
+
+  const pathways = connections.map((connection) => {
+    const curvePoints = createCurvedPath(regions[connection.fromIndex].pos, regions[connection.toIndex].pos, CURVE_SEGMENTS, connection.curveHeight);
+    const geometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
+    const material = new THREE.LineBasicMaterial({
+      color: new THREE.Color(connection.color),
+      transparent: true,
+      opacity: 0,
+      blending: THREE.AdditiveBlending,
+    });
+    const line = new THREE.Line(geometry, material);
+    group.add(line);
+    return { line, connection };
+  });
+
+  // Flashing nodes
+  const nodeGeometry = new THREE.BufferGeometry();
+  const nodePositions = new Float32Array(regions.length * 3);
+  regions.forEach((region, i) => {
+    nodePositions.set(region.pos, i * 3);
+  });
+  nodeGeometry.setAttribute("position", new THREE.BufferAttribute(nodePositions, 3));
+  const nodeStyle = config.nodes;
+  const nodeMaterial = new THREE.PointsMaterial({
+    size: nodeStyle.size + nodeStyle.sizePulse / 2,
+    transparent: true,
+    opacity: 0,
+    blending: THREE.AdditiveBlending,
+    color: new THREE.Color(nodeStyle.color),
+    sizeAttenuation: true,
+  });
+  const nodes = new THREE.Points(nodeGeometry, nodeMaterial);
+  group.add(nodes);
+
+  // Highlighted region: a larger, steadier marker drawn over its node
+  const markerGeometry = new THREE.BufferGeometry();
+  markerGeometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(3), 3));
+  const markerMaterial = new THREE.PointsMaterial({
+    size: (nodeStyle.size + nodeStyle.sizePulse) * 1.6,
+    transparent: true,
+    opacity: 0.9,
+    blending: THREE.AdditiveBlending,
+    color: new THREE.Color(nodeStyle.color),
+    sizeAttenuation: true,
+  });
+  const marker = new THREE.Points(markerGeometry, markerMaterial);
+  marker.visible = false;
+  group.add(marker);
+  let highlighted = null;
+  let still = false;
+
+  function update(cycleTime, t) {
+    pathways.forEach(({ line, connection }) => {
+      const opacity = still ? stillPathwayOpacity(connection) : pathwayOpacity(connection, cycleTime, cycleDuration);
+      if (highlighted === null) {
+        line.material.opacity = opacity;
+      } else if (connection.fromIndex === highlighted || connection.toIndex === highlighted) {
+        line.material.opacity = Math.max(opacity, connection.opacity * 0.8);
+      } else {
+        line.material.opacity = opacity * DIMMED;
+      }
+    });
+    if (still) {
+      nodeMaterial.opacity = nodeStyle.opacity;
+      nodeMaterial.size = nodeStyle.size;
+      markerMaterial.opacity = 0.85;
+      return;
+    }
+    // Pulse nodes
+    nodeMaterial.opacity = nodeStyle.opacity + nodeStyle.opacityPulse * Math.sin(t * 2);
+    nodeMaterial.size = nodeStyle.size + nodeStyle.sizePulse * Math.sin(t * 1.5);
+    markerMaterial.opacity = 0.75 + 0.15 * Math.sin(t * 4);
+  }
+
+  /** Reduced motion: steady network from the next update() on. */
+  function setStill(next) {
+    still = Boolean(next);
+  }
+
+  /** Emphasise one region (by index) and the pathways touching it; null clears. */
+  function highlight(index) {
+    highlighted = Number.isInteger(index) && regions[index] ? index : null;
+    marker.visible = highlighted !== null;
+    if (highlighted === null) return;
+    markerGeometry.attributes.position.array.set(regions[highlighted].pos);
+    markerGeometry.attributes.position.needsUpdate = true;
+    markerGeometry.computeBoundingSphere();
+  }
+
+  /** Recolor from a brain theme (brainTheme.js); only lines and nodes whose config color is `themed` follow it. */
+  function setTheme(theme) {
+    pathways.forEach(({ line, connection }) => {
+      if (connection.themed) line.material.color.set(theme.pathway);
+    });
+    if (nodeStyle.themed) {
+      nodeMaterial.color.set(theme.node);
+      markerMaterial.color.set(theme.node);
+    }
+  }
+
+  function reset() {
+    pathways.forEach(({ line }) => {
+      line.material.opacity = 0;
+    });
+    nodeMaterial.opacity = 0;
+  }
+
+  function dispose() {
+    group.traverse((obj) => {
+      obj.geometry?.dispose();
+      obj.material?.dispose();
+    });
+    group.removeFromParent();
+    group.clear();
+  }
+
+  return { group, pathways, nodes, nodeMaterial, cycleDuration, update, highlight, setStill, setTheme, reset, dispose };
+}
@@ -1,413 +1,212 @@
-// Three.js brain scene with MRI scan reveal effect.
-// Only the real brain OBJ is shown; no placeholder (loads in worker, then render starts).
-
-import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
-import { OrbitControls } from "https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js";
+// Brain scene entry point: mounts the Three.js scene (brainCore.js) on the hero canvas.
+// Where the browser can hand the canvas to a worker (OffscreenCanvas), rendering runs there and the page
+// keeps only a proxy (brainSceneProxy.js); otherwise the scene renders on the main thread. Same controller
+// either way; without WebGL a 2D canvas rendering takes over (brainFallback2d.js).
+
+import { createEmitter } from "./emitter.js";
+import { detectDeviceClass, POINT_BUDGETS } from "./qualityGovernor.js";
+import { DEFAULT_BRAIN_CONFIG } from "./brainConfig.js";
+import { createBrainCore, reportBrainFallback, WebGLUnavailableError } from "./brainCore.js";
+import { readBrainTheme, watchBrainTheme } from "./brainTheme.js";
+import { createRegionInteraction } from "./brainInteraction.js";
+import { watchCanvasVisibility } from "./canvasVisibility.js";
+import { initBrainFallback2D } from "./brainFallback2d.js";
+import { initBrainSceneOffscreen, supportsOffscreenScene } from "./brainSceneProxy.js";
+import { motionPreference } from "./motionPreference.js";
+import { analytics } from "./analytics.js";
 
 const DEBUG = /[?&]debug=1/.test(location.search);
+const NO_OFFSCREEN = /[?&]offscreen=0/.test(location.search); // debug switch: always render on the main thread
 
-const SCAN_SPEED = 80;
-const SCAN_WIDTH = 15;
-const LOADING_ROTATION_SPEED = 0.07; // rad/s continuous gentle spin
-const PARTICLE_STEP = 8;
-const POINT_SIZE_BASE = 2.2;
-const POINT_SIZE_REF_DIST = 300;
+const DEFAULT_CAPTURE_FPS = 60;
+const MODEL_URL = "assets/models/brain.mkm";
+const OBJ_URL = "assets/models/BrainUVs.obj";
 
-/** Take every step-th vertex for a lighter points cloud; copies normals when present. */
-function decimateForPoints(geometry, step) {
-  const pos = geometry.attributes.position;
-  if (!pos) return null;
-  const norm = geometry.attributes.normal;
-  const count = pos.count;
-  const outPos = [];
-  const outNorm = norm ? [] : null;
-  for (let i = 0; i < count; i += step) {
-    outPos.push(pos.getX(i), pos.getY(i), pos.getZ(i));
-    if (norm) outNorm.push(norm.getX(i), norm.getY(i), norm.getZ(i));
-  }
-  const decimated = new THREE.BufferGeometry();
-  decimated.setAttribute("position", new THREE.Float32BufferAttribute(outPos, 3));
-  if (outNorm) decimated.setAttribute("normal", new THREE.Float32BufferAttribute(outNorm, 3));
-  return decimated;
+/** Sampling option → loadBrainModel's `sample` spec, with the point budget picked for this device. */
+function resolveSampling(sampling) {
+  if (!sampling) return null;
+  const count = typeof sampling.count === "number" ? sampling.count : { ...POINT_BUDGETS, ...sampling.count }[detectDeviceClass()];
+  return { count, blueNoise: sampling.blueNoise ?? true, seed: sampling.seed };
 }
 
-// Custom shader for scan reveal effect (bottom to top, reveal behind scan)
-// Explicit highp helps Cursor/Electron WebGL match Chrome (avoids mediump blur/size quirks)
-const scanVertexShader = `
-  precision highp float;
-  uniform float uScanY;
-  uniform float uScanWidth;
-  varying float vVisible;
-  varying float vScanGlow;
-  
-  void main() {
-    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-    gl_Position = projectionMatrix * mvPosition;
-    gl_PointSize = 2.2 * (300.0 / -mvPosition.z); /* POINT_SIZE_BASE * (REF_DIST / depth) */
-    
-    // Particles visible BELOW the scan line (revealed after scan passes)
-    vVisible = step(position.y, uScanY);
-    
-    // Glow near the scan line
-    float distToScan = abs(position.y - uScanY);
-    vScanGlow = smoothstep(uScanWidth, 0.0, distToScan);
-  }
-`;
-
-const scanFragmentShader = `
-  precision highp float;
-  uniform vec3 uColor;
-  uniform vec3 uScanColor;
-  uniform float uOpacity;
-  varying float vVisible;
-  varying float vScanGlow;
-  
-  void main() {
-    if (vVisible < 0.5) discard;
-    
-    // Circular point shape
-    float dist = length(gl_PointCoord - vec2(0.5));
-    if (dist > 0.5) discard;
-    
-    float alpha = smoothstep(0.5, 0.2, dist);
-    
-    // Mix base color with scan glow color
-    vec3 color = mix(uColor, uScanColor, vScanGlow * 0.8);
-    float finalAlpha = alpha * uOpacity * (1.0 + vScanGlow * 2.0);
-    
-    gl_FragColor = vec4(color, finalAlpha);
-  }
-`;
-
-// Brain region coordinates for thinking pathways
-const BRAIN_REGIONS = [
-  { name: "episodic", pos: [92, 45, 0] },
-  { name: "semantic_r", pos: [20, -30, 65] },
-  { name: "analytic", pos: [-80, 20, 0] },
-  { name: "process", pos: [-50, 75, 0] },
-  { name: "affective", pos: [-100, -30, 0] },
-  { name: "semantic_l", pos: [20, -30, -65] },
-];
-
-// Create curved path between two points
-function createCurvedPath(start, end, segments = 20) {
-  const points = [];
-  const midPoint = new THREE.Vector3(
-    (start[0] + end[0]) / 2,
-    (start[1] + end[1]) / 2 + 30,
-    (start[2] + end[2]) / 2
+/** Publishes what the funnel needs from the scene (analytics.js): load time, reveal seen, fallbacks and failures. */
+function trackBrainScene(controller) {
+  controller.on("loaded", ({ source, pointCount, ms }) =>
+    analytics.track("brain:loaded", { source, points: pointCount, ms: Math.round(ms), mode: controller.mode, offscreen: controller.offscreen })
   );
-  
-  for (let i = 0; i <= segments; i++) {
-    const t = i / segments;
-    const x = (1 - t) * (1 - t) * start[0] + 2 * (1 - t) * t * midPoint.x + t * t * end[0];
-    const y = (1 - t) * (1 - t) * start[1] + 2 * (1 - t) * t * midPoint.y + t * t * end[1];
-    const z = (1 - t) * (1 - t) * start[2] + 2 * (1 - t) * t * midPoint.z + t * t * end[2];
-    points.push(new THREE.Vector3(x, y, z));
-  }
-  return points;
-}
-
-function logPerf(label, startMs) {
-  if (!DEBUG) return;
-  const elapsed = (performance.now() - startMs).toFixed(1);
-  console.log(`[brain] ⏱ ${label}: ${elapsed}ms`);
+  controller.on("scanComplete", ({ mode }) => analytics.track("brain:scan-complete", { reveal: mode, reducedMotion: controller.reducedMotion }));
+  controller.on("fallback", ({ kind, reason }) => analytics.track("brain:fallback", { kind, reason }));
+  controller.on("error", ({ stage }) => analytics.track("brain:error", { stage }));
+  return controller;
 }
 
-export function initBrainScene(canvas) {
-  const t0 = performance.now();
+/**
+ * Mounts the brain scene on `canvas` and returns a controller.
+ * Events: "progress" ({ phase: "download"|"parse"|"sample", loaded, total }), "loaded" ({ source, vertexCount, pointCount,
+ * groups, diagnostics, ms }), "scanComplete" ({ mode }), "error" ({ stage, error }), "qualitychange" ({ index, name, pixelRatio, particleStep }), "configchange" ({ config }),
+ * "regionhover" / "regionselect" ({ index, region, source }, interactive only; selection is also dispatched on the canvas as
+ * a bubbling "mk:regionselect" CustomEvent), "memorygraph" ({ count, links, unplaced, timeRange }), "memoryadded" ({ id, placed }),
+ * "themechange" ({ theme }), "motionchange" ({ reduced }), "fallback" ({ kind: "procedural"|"2d", reason, error }).
+ * Colors come from the --mk-brain-* custom properties on the canvas (brainTheme.js) and follow them live.
+ * With reduced motion (motionPreference.js) the scene is a composed still, the end of the reveal with the pathways
+ * held steady, drawn only when something changes; `replayScan()` plays the reveal once on demand.
+ * Load, reveal, fallback and error events are also published to the page's analytics bus (analytics.js), except in capture mode.
+ * Degrades instead of leaving the hero empty: a failed model load swaps in a procedural point cloud,
+ * and without WebGL the scene is drawn on a 2D canvas (controller `mode` is then "2d").
+ * `dispose()` releases the renderer, GPU resources, worker and listeners; the canvas can be mounted again afterwards,
+ * except after worker rendering (`offscreen` is then true), which keeps the canvas for good.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [options]
+ * @param {boolean} [options.autoPause=true] - stop rendering while the canvas is offscreen or the tab is hidden
+ * @param {boolean} [options.adaptiveQuality=true] - trade point density / pixel ratio for frame rate at runtime
+ * @param {number} [options.targetFps=50] - frame rate the quality governor tries to hold
+ * @param {string|null} [options.modelUrl] - binary .mkm model (see scripts/convert-model.js); null skips it
+ * @param {string} [options.objUrl] - OBJ fallback, parsed in a worker
+ * @param {boolean} [options.cache=true] - keep parsed OBJ geometry in IndexedDB (bypass with `?nocache=1`)
+ * @param {string|null} [options.modelVersion] - cache key version; defaults to the OBJ's ETag / Last-Modified
+ * @param {{ count?: number|{ low?: number, medium?: number, high?: number }, blueNoise?: boolean, seed?: number }|false} [options.sampling]
+ *   - spread points over the mesh surface by triangle area in a worker (surfaceSampler.js) instead of taking every
+ *   8th vertex; `count` defaults to the device class budget (POINT_BUDGETS), `blueNoise` to true. false decimates.
+ *   Pre-decimated binary models and the procedural fallback are always decimated.
+ * @param {boolean} [options.proceduralFallback=true] - generate a brain-like point cloud when the model fails to load
+ * @param {Object|string} [options.config] - regions/pathways/nodes config or a JSON URL (brainConfig.js); also
+ *   read from data-config on the canvas. An invalid inline config throws BrainConfigError; a URL is loaded
+ *   after the defaults are up and reports failures through the "error" event.
+ * @param {boolean} [options.interactive] - hover/click/keyboard access to region nodes with tooltips once the reveal
+ *   completes (WebGL only); defaults to the presence of data-interactive on the canvas
+ * @param {Object|string} [options.memoryGraph] - memories to render onto the regions, or a JSON URL such as a local
+ *   export (memoryGraph.js); also read from data-memory-graph. Loaded after init, stored with the arrival animation.
+ * @param {boolean} [options.watchTheme=true] - re-read the --mk-brain-* palette when the page theme changes; false reads
+ *   it once (call `refreshTheme()` after changing it)
+ * @param {Object} [options.reveal] - { mode: "plane"|"radial"|"dissolve"|"forget", axis, region, duration, easing };
+ *   also read from data-reveal-* attributes on the canvas (options win)
+ * @param {boolean} [options.dragRotate=false] - let pointer drags orbit the camera; off, the canvas ignores the pointer
+ *   so the hero never swallows clicks
+ * @param {boolean} [options.reducedMotion] - fixed motion setting; by default the page's shared preference is followed live
+ * @param {boolean} [options.offscreen=true] - render in a worker via OffscreenCanvas where supported; not used with
+ *   `interactive`, whose overlay lives in the DOM. `?offscreen=0` forces the main thread.
+ * @param {{ width?: number, height?: number, pixelRatio?: number, fps?: number }|null} [options.capture] - fixed-timestep
+ *   capture mode (brainCapture.js): no render loop; time moves only through `seek(seconds)` and `renderFrame()` draws,
+ *   at `width`×`height` CSS px (default: the canvas size) × `pixelRatio` (default 1). Renders on the main thread,
+ *   without adaptive quality, auto-pause, pointer input or reduced motion.
+ * @param {ReturnType<typeof createEmitter>} [options.events] - emitter to publish on (the worker proxy passes its own)
+ * @param {(info: { kind: "procedural"|"2d", reason: string, error: Error }) => void} [options.onFallback] - failure hook;
+ *   called synchronously on the main thread, so it also sees a WebGL failure during init (the "fallback" event fires a
+ *   microtask later); with worker rendering it is called when the worker reports the fallback
+ * @returns {{ mode: "webgl"|"2d", offscreen: boolean, pause(): void, resume(): void, dispose(): void, replayScan(): void, setRevealMode(next: string|Object, opts?: { replay?: boolean }): void, setConfig(source: Object|string): Promise<void>,
+ *   setMemoryGraph(source: Object|string, opts?: { animate?: boolean }): Promise<void>, refreshTheme(): void, setScanSpeed(multiplier: number): void, setParticleStep(step: number|null): boolean, addMemory(memory: Object, opts?: { links?: Array<string|number> }): { id: string, placed: boolean },
+ *   scrubMemories(time: number|string|Date|null): void, clearMemories(): void, seek(seconds: number): void, renderFrame(): void, on(type: string, fn: Function): () => void, off(type: string, fn: Function): void,
+ *   readonly paused: boolean, readonly disposed: boolean, readonly reducedMotion: boolean, readonly quality: Object, readonly clock: { time: number, frame: number, fps: number, scanDuration: number, cycleDuration: number }|null }}
+ */
+export function initBrainScene(canvas, {
+  autoPause = true,
+  adaptiveQuality = true,
+  targetFps,
+  modelUrl = MODEL_URL,
+  objUrl = OBJ_URL,
+  cache = true,
+  modelVersion = null,
+  sampling = {},
+  proceduralFallback = true,
+  onFallback = null,
+  reveal = {},
+  config = canvas.dataset.config,
+  interactive = canvas.dataset.interactive !== undefined && canvas.dataset.interactive !== "false",
+  memoryGraph = canvas.dataset.memoryGraph,
+  watchTheme = true,
+  dragRotate = false,
+  reducedMotion,
+  offscreen = true,
+  capture = null,
+  events = createEmitter(),
+} = {}) {
   if (DEBUG) console.log("[brain] initBrainScene() start", document.activeElement?.id || document.activeElement?.tagName);
-
-  let t = performance.now();
-  const renderer = new THREE.WebGLRenderer({
-    canvas,
-    antialias: true,
-    alpha: true,
-    premultipliedAlpha: false,
-    powerPreference: "high-performance",
-  });
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
-  renderer.setClearColor(0x000000, 0);
-  canvas.style.pointerEvents = "none"; // keep page clickable; brain is visual only
-  logPerf("renderer create", t);
-
-  t = performance.now();
-  const scene = new THREE.Scene();
-  scene.background = null;
-  scene.fog = new THREE.Fog(0x020617, 400, 1500);
-  const container = canvas.parentElement;
-  const w = Math.max(canvas.clientWidth || container?.clientWidth || 1, 1);
-  const h = Math.max(canvas.clientHeight || container?.clientHeight || 1, 1);
-  const camera = new THREE.PerspectiveCamera(54, w / h, 1, 2000);
-  camera.position.set(0, 0, 380);
-  const controls = new OrbitControls(camera, canvas);
-  controls.enableDamping = true;
-  controls.dampingFactor = 0.08;
-  controls.enableZoom = false;
-  controls.autoRotate = false;
-  controls.autoRotateSpeed = 0.3;
-  controls.minDistance = 200;
-  controls.maxDistance = 700;
-  controls.minPolarAngle = Math.PI / 3;
-  controls.maxPolarAngle = (2 * Math.PI) / 3;
-  controls.keys = {};
-  logPerf("scene/camera/controls", t);
-
-  // Lighting
-  const ambientLight = new THREE.AmbientLight(0xb8c5cf, 0.3);
-  scene.add(ambientLight);
-
-  const spotLight = new THREE.SpotLight(0xb8c5cf, 1.45, 500, Math.PI / 2, 0, 0);
-  spotLight.position.set(0, 500, -10);
-  scene.add(spotLight);
-
-  const brainGroup = new THREE.Group();
-  scene.add(brainGroup);
-
-  // Scan line (invisible - just tracks position for shader)
-  const scanLine = { position: { y: 0 }, visible: false };
-
-  // Thinking pathways group (hidden until scan complete)
-  const pathwaysGroup = new THREE.Group();
-  pathwaysGroup.visible = false;
-  brainGroup.add(pathwaysGroup);
-
-  // Create thinking pathway lines
-  t = performance.now();
-  const pathways = [];
-  const pathwayConnections = [
-    [0, 1], [1, 2], [2, 3], [3, 4], [4, 5], [5, 0],
-    [0, 3], [1, 4], [2, 5],
-  ];
-
-  pathwayConnections.forEach((conn, idx) => {
-    const start = BRAIN_REGIONS[conn[0]].pos;
-    const end = BRAIN_REGIONS[conn[1]].pos;
-    const curvePoints = createCurvedPath(start, end, 30);
-    
-    const geometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
-    const material = new THREE.LineBasicMaterial({
-      color: 0x84ccff,
-      transparent: true,
-      opacity: 0,
-      blending: THREE.AdditiveBlending,
-    });
-    
-    const line = new THREE.Line(geometry, material);
-    pathwaysGroup.add(line);
-    pathways.push({
-      line,
-      delay: idx * 0.4,
-      duration: 1.5,
-    });
-  });
-  logPerf("pathways loop", t);
-
-  // Flashing nodes
-  t = performance.now();
-  const nodeGeometry = new THREE.BufferGeometry();
-  const nodePositions = new Float32Array(BRAIN_REGIONS.length * 3);
-  BRAIN_REGIONS.forEach((region, i) => {
-    nodePositions[i * 3] = region.pos[0];
-    nodePositions[i * 3 + 1] = region.pos[1];
-    nodePositions[i * 3 + 2] = region.pos[2];
-  });
-  nodeGeometry.setAttribute("position", new THREE.BufferAttribute(nodePositions, 3));
-  
-  const nodeMaterial = new THREE.PointsMaterial({
-    size: 8,
-    transparent: true,
-    opacity: 0,
-    blending: THREE.AdditiveBlending,
-    color: 0x84ccff,
-    sizeAttenuation: true,
-  });
-  const nodes = new THREE.Points(nodeGeometry, nodeMaterial);
-  pathwaysGroup.add(nodes);
-  logPerf("nodes", t);
-  logPerf("initBrainScene sync total", t0);
-
-  // State for scan animation (bottom to top); set when brain loads
-  let scanState = {
-    phase: "scanning",
-    scanY: -120,
-    scanSpeed: SCAN_SPEED,
-    maxY: 120,
-    startTime: performance.now(),
+  const coreOptions = {
+    adaptiveQuality: adaptiveQuality && !capture,
+    targetFps,
+    modelUrl,
+    objUrl,
+    cache,
+    modelVersion,
+    sample: resolveSampling(sampling),
+    proceduralFallback,
+    onFallback,
+    reveal,
+    config,
+    memoryGraph,
+    capture: capture && { fps: capture.fps ?? DEFAULT_CAPTURE_FPS },
+    reducedMotion: capture ? false : reducedMotion ?? motionPreference.reduced,
+    events,
   };
+  const pageOptions = { autoPause: autoPause && !capture, watchTheme, dragRotate: dragRotate && !capture, followMotion: reducedMotion === undefined && !capture };
 
-  let brainPointsMaterial = null;
-
-  // --- Load brain OBJ in worker; start render loop only after it's ready ---
-  const OBJ_URL = "assets/models/BrainUVs.obj";
-  function startRenderLoop() {
-    requestAnimationFrame(render);
+  if (capture) return mountOnMainThread(canvas, { ...coreOptions, ...pageOptions, interactive: false, captureSize: capture });
+  if (offscreen && !interactive && !NO_OFFSCREEN && supportsOffscreenScene(canvas)) {
+    // Worker can't render (no WebGL there, module workers unsupported…): start over here on a fresh canvas
+    const mountHere = (replacement) => mountOnMainThread(replacement, { ...coreOptions, ...pageOptions, interactive: false });
+    return trackBrainScene(initBrainSceneOffscreen(canvas, { ...coreOptions, ...pageOptions }, mountHere));
   }
+  return trackBrainScene(mountOnMainThread(canvas, { ...coreOptions, ...pageOptions, interactive }));
+}
 
-  fetch(OBJ_URL)
-    .then((res) => {
-      if (!res.ok) throw new Error(`OBJ fetch ${res.status}`);
-      return res.text();
-    })
-    .then((text) => {
-      const tFetched = performance.now();
-      if (DEBUG) console.log("[brain] OBJ fetched, parsing in worker", `${(tFetched - t0).toFixed(0)}ms`);
-      const worker = new Worker(new URL("./objParser.worker.js", import.meta.url));
-      worker.onmessage = (e) => {
-        const { error, positions, normals } = e.data;
-        worker.terminate();
-        if (error || !positions || !normals) {
-          console.warn("[brain] worker error or empty result", error);
-          startRenderLoop();
-          return;
-        }
-        const tBuild = performance.now();
-        const mergedGeo = new THREE.BufferGeometry();
-        mergedGeo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-        mergedGeo.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
-        mergedGeo.computeVertexNormals();
-        mergedGeo.computeBoundingBox();
-        const bbox = mergedGeo.boundingBox;
-        scanState.scanY = bbox.min.y - 10;
-        scanState.maxY = bbox.max.y + 10;
-        const particleGeo = decimateForPoints(mergedGeo, PARTICLE_STEP);
-        brainPointsMaterial = new THREE.ShaderMaterial({
-          uniforms: {
-            uScanY: { value: scanState.scanY },
-            uScanWidth: { value: SCAN_WIDTH },
-            uColor: { value: new THREE.Color(0xe2e8ef) },
-            uScanColor: { value: new THREE.Color(0x38bdf8) },
-            uOpacity: { value: 0.9 },
-          },
-          vertexShader: scanVertexShader,
-          fragmentShader: scanFragmentShader,
-          transparent: true,
-          blending: THREE.AdditiveBlending,
-          depthWrite: false,
-        });
-        const brainPoints = new THREE.Points(particleGeo, brainPointsMaterial);
-        brainPoints.frustumCulled = false;
-        brainGroup.rotation.y = Math.PI / 2;
-        brainGroup.add(brainPoints);
-        mergedGeo.dispose();
-        if (DEBUG) console.log("[brain] brain visible, starting render", `${(performance.now() - t0).toFixed(0)}ms`, `build: ${(performance.now() - tBuild).toFixed(0)}ms`);
-        startRenderLoop();
-      };
-      worker.onerror = () => {
-        worker.terminate();
-        if (DEBUG) console.warn("[brain] worker error");
-        startRenderLoop();
-      };
-      worker.postMessage(text);
-    })
-    .catch((err) => {
-      if (DEBUG) console.warn("[brain] OBJ fetch error", err);
-      startRenderLoop();
-    });
-
-  function resizeRendererToDisplaySize() {
-    const parent = canvas.parentElement;
-    const width = Math.max(canvas.clientWidth || parent?.clientWidth || 0, 1);
-    const height = Math.max(canvas.clientHeight || parent?.clientHeight || 0, 1);
-    const needResize = canvas.width !== width || canvas.height !== height;
-    if (needResize) {
-      renderer.setSize(width, height, false);
-      camera.aspect = width / height;
-      camera.updateProjectionMatrix();
-    }
+function mountOnMainThread(canvas, { autoPause, watchTheme, dragRotate, followMotion, interactive, captureSize = null, ...options }) {
+  const { events, onFallback, config } = options;
+  if (followMotion) options.reducedMotion = motionPreference.reduced; // may have changed while a worker tried
+  let core = null;
+  const themeWatcher = watchTheme ? watchBrainTheme(canvas, (theme) => core?.setTheme(theme)) : null;
+  const visibility = autoPause ? watchCanvasVisibility(canvas, (visible) => core?.setVisible(visible)) : null;
+  const stopMotion = followMotion ? motionPreference.on("change", ({ reduced }) => core?.setReducedMotion(reduced)) : null;
+  // With reduced motion frames are only drawn on change, and a new size is one
+  const resizeObserver = typeof ResizeObserver === "function" && !captureSize ? new ResizeObserver(() => core?.invalidate()) : null;
+  resizeObserver?.observe(canvas);
+  function disconnect() {
+    visibility?.disconnect();
+    themeWatcher?.disconnect();
+    stopMotion?.();
+    resizeObserver?.disconnect();
   }
 
-  let lastTime = performance.now();
-  let cycleTime = 0;
-  const cycleDuration = 8;
-  let firstRenderLogged = false;
-  let frameShown = false;
-  let frameCount = 0;
-  let lastLogTime = performance.now();
-
-  function render(now) {
-    const frameStart = performance.now();
-    if (DEBUG && !firstRenderLogged) {
-      console.log("[brain] first render frame", `${(frameStart - t0).toFixed(0)}ms`);
-      firstRenderLogged = true;
-    }
-    // Show canvas only after first draw to avoid white flash (frame stays visible with dark bg)
-    if (!frameShown) {
-      frameShown = true;
+  /** @type {import("./brainCore.js").BrainHost} */
+  const host = {
+    theme: themeWatcher?.theme ?? readBrainTheme(canvas),
+    dataset: canvas.dataset,
+    controlsElement: canvas,
+    pixelRatio: () => (captureSize ? captureSize.pixelRatio ?? 1 : window.devicePixelRatio || 1),
+    size() {
+      const parent = canvas.parentElement;
+      return {
+        width: captureSize?.width ?? Math.max(canvas.clientWidth || parent?.clientWidth || 0, 1),
+        height: captureSize?.height ?? Math.max(canvas.clientHeight || parent?.clientHeight || 0, 1),
+      };
+    },
+    visible: () => !visibility || visibility.visible,
+    refreshTheme() {
+      if (themeWatcher) themeWatcher.refresh();
+      else core.setTheme(readBrainTheme(canvas));
+    },
+    createInteraction: interactive ? ({ camera }) => createRegionInteraction({ canvas, camera, events }) : null,
+    onFirstFrame() {
       canvas.style.opacity = "1";
-    }
-    now = now || frameStart;
-    const dt = (now - lastTime) / 1000;
-    lastTime = now;
-
-    resizeRendererToDisplaySize();
-    controls.update();
-
-    const t = now / 1000;
-
-    // Continuous rotation (loading + scan-in)
-    brainGroup.rotation.y += LOADING_ROTATION_SPEED * dt;
-
-    // Scan animation (bottom to top)
-    if (scanState.phase === "scanning") {
-      scanState.scanY += scanState.scanSpeed * dt;
-      
-      // Update scan line position
-      scanLine.position.y = scanState.scanY;
-      scanLine.visible = true;
-      
-      // Update shader uniform
-      if (brainPointsMaterial) {
-        brainPointsMaterial.uniforms.uScanY.value = scanState.scanY;
-      }
-      
-      // Check if scan is complete (reached the top)
-      if (scanState.scanY > scanState.maxY) {
-        scanState.phase = "complete";
-        scanLine.visible = false;
-        controls.autoRotate = true;
-        pathwaysGroup.visible = true;
-        if (DEBUG) console.log("[brain] scan complete", `${(performance.now() - t0).toFixed(0)}ms`);
-      }
-    }
-
-    // After scan complete, animate pathways
-    if (scanState.phase === "complete") {
-      cycleTime = (cycleTime + dt) % cycleDuration;
-      
-      pathways.forEach((pathway) => {
-        const pathTime = (cycleTime - pathway.delay + cycleDuration) % cycleDuration;
-        
-        if (pathTime < pathway.duration) {
-          const progress = pathTime / pathway.duration;
-          pathway.line.material.opacity = Math.sin(progress * Math.PI) * 0.7;
-        } else if (pathTime < pathway.duration + 0.5) {
-          const fadeProgress = (pathTime - pathway.duration) / 0.5;
-          pathway.line.material.opacity = 0.7 * (1 - fadeProgress);
-        } else {
-          pathway.line.material.opacity = 0;
-        }
-      });
-
-      // Pulse nodes
-      const nodePulse = 0.4 + 0.3 * Math.sin(t * 2);
-      nodeMaterial.opacity = nodePulse;
-      nodeMaterial.size = 6 + 4 * Math.sin(t * 1.5);
-    }
+    },
+    onDispose() {
+      disconnect();
+      canvas.style.opacity = "0";
+    },
+  };
 
-    renderer.render(scene, camera);
-    frameCount++;
-    if (DEBUG) {
-      const frameMs = performance.now() - frameStart;
-      if (frameMs > 50) console.log("[brain] ⚠️ long frame", frameMs.toFixed(1), "ms");
-      if (frameCount > 0 && frameCount % 120 === 0) {
-        const elapsed = (performance.now() - lastLogTime) / 1000;
-        console.log("[brain] 120 frames in", elapsed.toFixed(2), "s (~", (120 / elapsed).toFixed(1), "fps)");
-        lastLogTime = performance.now();
-      }
-    }
-    requestAnimationFrame(render);
+  try {
+    core = createBrainCore(canvas, host, options);
+  } catch (error) {
+    disconnect();
+    if (!(error instanceof WebGLUnavailableError)) throw error;
+    reportBrainFallback(events, onFallback, { kind: "2d", reason: "webgl-unavailable", error: error.cause ?? error });
+    const inline = config && typeof config === "object" ? config : DEFAULT_BRAIN_CONFIG;
+    const reducedMotion = followMotion ? undefined : options.reducedMotion;
+    const fallback = initBrainFallback2D(canvas, { autoPause, events, config: inline, watchTheme, reducedMotion });
+    if (typeof config === "string") fallback.setConfig(config).catch(() => {});
+    return fallback;
   }
-
-  if (DEBUG) console.log("[brain] initBrainScene returned", `${(performance.now() - t0).toFixed(0)}ms`);
+  // Keep page clickable; brain is visual only unless dragRotate (brainInteraction.js turns this back on too)
+  if (!dragRotate) canvas.style.pointerEvents = "none";
+  return core.controller;
 }
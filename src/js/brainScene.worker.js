@@ -0,0 +1,203 @@
+/**
+ * Brain scene rendering off the main thread (module worker), driven by brainSceneProxy.js. Receives:
+ *   { type: "init", canvas, options, host }   OffscreenCanvas (transferred), brainCore options, initial host state
+ *                                             ({ width, height, left, top, pixelRatio, visible, theme, dataset })
+ *   { type: "resize", width, height, left, top, pixelRatio }
+ *   { type: "visibility", visible }
+ *   { type: "theme", theme }
+ *   { type: "motion", reduced }               motion preference changed (motionPreference.js)
+ *   { type: "pointer", event }                pointer event fields, replayed on the OrbitControls element
+ *   { type: "call", seq, id?, method, args }  controller method; with `id` the result comes back as "return"/"throw"
+ * and posts:
+ *   { type: "ready", state } | { type: "unsupported", error }   no WebGL here: the page renders instead
+ *   { type: "event", name, payload }          controller events
+ *   { type: "state", state }                  getter values (controller, stats) after calls/events and on a timer
+ *   { type: "return", id, value } | { type: "throw", id, error }
+ *   { type: "timeline", entry, timeOrigin }   perf timeline entries, for the page's timeline (perfTimeline.js)
+ *   { type: "firstframe" } | { type: "disposed" }
+ * Errors travel as { name, message, stage, issues } and are rebuilt on the page.
+ * The query string of the worker URL is the page's, so ?debug=1 / ?nocache=1 work here too.
+ */
+import { EventDispatcher } from "../vendor/three@0.160.0/build/three.module.js";
+import { createEmitter } from "./emitter.js";
+import { createBrainCore, WebGLUnavailableError } from "./brainCore.js";
+import { perfTimeline } from "./perfTimeline.js";
+
+const DEBUG = /[?&]debug=1/.test(location.search);
+const STATE_INTERVAL_MS = DEBUG ? 16 : 250; // the debug HUD samples stats every frame
+const FORWARDED_EVENTS = ["progress", "loaded", "scanComplete", "error", "qualitychange", "configchange", "memorygraph", "memoryadded", "themechange", "motionchange", "fallback"];
+// Controller methods the page may call; everything else is refused
+const METHODS = ["pause", "resume", "dispose", "replayScan", "setRevealMode", "setConfig", "setMemoryGraph", "addMemory", "scrubMemories", "clearMemories", "setScanSpeed", "setParticleStep"];
+
+/**
+ * Stand-in for the canvas element so OrbitControls can run here: events forwarded from the page are
+ * dispatched on it, and it answers the size / pointer capture calls the controls make.
+ */
+class ElementProxy extends EventDispatcher {
+  constructor() {
+    super();
+    this.style = {};
+    this.rect = { left: 0, top: 0, width: 1, height: 1 };
+  }
+
+  get clientWidth() {
+    return this.rect.width;
+  }
+
+  get clientHeight() {
+    return this.rect.height;
+  }
+
+  get ownerDocument() {
+    return this;
+  }
+
+  getRootNode() {
+    return this;
+  }
+
+  getBoundingClientRect() {
+    const { left, top, width, height } = this.rect;
+    return { left, top, width, height, x: left, y: top, right: left + width, bottom: top + height };
+  }
+
+  setPointerCapture() {}
+
+  releasePointerCapture() {}
+
+  focus() {}
+
+  /** Replay a forwarded event; default actions were already decided on the page. */
+  dispatch(event) {
+    this.dispatchEvent({ ...event, preventDefault() {}, stopPropagation() {} });
+  }
+}
+
+function serializeError(error) {
+  return { name: error?.name ?? "Error", message: error?.message ?? String(error), stage: error?.stage, issues: error?.issues };
+}
+
+/** Event payloads with an Error in them ("error", "fallback") can't be cloned as is. */
+function serializePayload(payload) {
+  return payload?.error ? { ...payload, error: serializeError(payload.error) } : payload;
+}
+
+const post = (message) => self.postMessage(message);
+
+perfTimeline.on("entry", (entry) => post({ type: "timeline", entry, timeOrigin: performance.timeOrigin }));
+
+let core = null;
+let hostState = null;
+let seq = 0;
+let stateTimer = null;
+const element = new ElementProxy();
+
+function snapshot(full) {
+  const controller = core.controller;
+  const state = {
+    seq,
+    mode: controller.mode,
+    paused: controller.paused,
+    disposed: controller.disposed,
+    reducedMotion: controller.reducedMotion,
+    quality: controller.quality,
+    reveal: controller.reveal,
+    theme: controller.theme,
+    stats: controller.stats,
+  };
+  if (full) {
+    state.config = controller.config;
+    state.memoryGraph = controller.memoryGraph;
+    state.groups = controller.groups;
+  }
+  return state;
+}
+
+function postState(full = true) {
+  if (core) post({ type: "state", state: snapshot(full) });
+}
+
+function init({ canvas, options, host }) {
+  hostState = host;
+  element.rect = { left: host.left, top: host.top, width: host.width, height: host.height };
+  const events = createEmitter();
+  for (const name of FORWARDED_EVENTS) {
+    events.on(name, (payload) => {
+      post({ type: "event", name, payload: serializePayload(payload) });
+      postState();
+    });
+  }
+  try {
+    core = createBrainCore(
+      canvas,
+      {
+        theme: host.theme,
+        dataset: host.dataset,
+        controlsElement: element,
+        pixelRatio: () => hostState.pixelRatio,
+        size: () => ({ width: hostState.width, height: hostState.height }),
+        visible: () => hostState.visible,
+        refreshTheme() {}, // the page re-reads the palette and sends it over (brainSceneProxy.js)
+        createInteraction: null,
+        onFirstFrame: () => post({ type: "firstframe" }),
+        onDispose() {
+          clearInterval(stateTimer);
+          postState();
+          post({ type: "disposed" });
+        },
+      },
+      { ...options, events }
+    );
+  } catch (error) {
+    post({ type: error instanceof WebGLUnavailableError ? "unsupported" : "error", error: serializeError(error.cause ?? error) });
+    return;
+  }
+  post({ type: "ready", state: snapshot(true) });
+  stateTimer = setInterval(() => postState(false), STATE_INTERVAL_MS);
+}
+
+async function call({ id, method, args }) {
+  try {
+    if (!METHODS.includes(method)) throw new TypeError(`Unknown brain scene method "${method}"`);
+    const value = await core.controller[method](...args);
+    if (id !== undefined) post({ type: "return", id, value });
+  } catch (error) {
+    if (id !== undefined) post({ type: "throw", id, error: serializeError(error) });
+    else if (DEBUG) console.warn(`[brain worker] ${method} failed`, error);
+  }
+  postState();
+}
+
+self.onmessage = function (e) {
+  const message = e.data;
+  if (message.type === "init") {
+    init(message);
+    return;
+  }
+  if (!core) return;
+  switch (message.type) {
+    case "resize":
+      Object.assign(hostState, { width: message.width, height: message.height, pixelRatio: message.pixelRatio });
+      element.rect = { left: message.left, top: message.top, width: message.width, height: message.height };
+      core.invalidate();
+      break;
+    case "visibility":
+      if (hostState.visible === message.visible) break;
+      hostState.visible = message.visible;
+      core.setVisible(message.visible);
+      break;
+    case "theme":
+      core.setTheme(message.theme);
+      break;
+    case "motion":
+      core.setReducedMotion(message.reduced);
+      break;
+    case "pointer":
+      element.dispatch(message.event);
+      break;
+    case "call":
+      seq = message.seq;
+      call(message);
+      break;
+  }
+};
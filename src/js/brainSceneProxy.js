@@ -0,0 +1,424 @@
+/**
+ * Page side of worker rendering: hands the canvas to brainScene.worker.js (transferControlToOffscreen)
+ * and returns a controller with the same API as the main-thread scene. Size, visibility, theme, the motion
+ * preference and (with dragRotate) pointer input are forwarded to the worker; getters read the last state it reported,
+ * so they trail a method call by one message. Checks that throw synchronously on the main thread (scan
+ * speed, particle step, memories) run here first so callers see the same errors.
+ * If the worker can't render (no WebGL for OffscreenCanvas, module workers unsupported…) the canvas is
+ * swapped for a fresh clone and the scene mounts on the main thread; calls made meanwhile are replayed.
+ */
+import { QUALITY_LEVELS } from "./qualityGovernor.js";
+import { BrainConfigError, DEFAULT_BRAIN_CONFIG, validateBrainConfig } from "./brainConfig.js";
+import { ModelLoadError } from "./brainModel.js";
+import { canPlaceMemory, checkMemoryAddition, MemoryGraphError, parseTimestamp } from "./memoryGraph.js";
+import { readBrainTheme, watchBrainTheme } from "./brainTheme.js";
+import { resolveReveal } from "./revealModes.js";
+import { perfTimeline } from "./perfTimeline.js";
+import { watchCanvasVisibility } from "./canvasVisibility.js";
+import { motionPreference } from "./motionPreference.js";
+
+const DEBUG = /[?&]debug=1/.test(location.search);
+const POINTER_EVENTS = ["pointerdown", "pointermove", "pointerup", "pointercancel"];
+const POINTER_FIELDS = ["pointerId", "pointerType", "isPrimary", "button", "buttons", "clientX", "clientY", "pageX", "pageY", "ctrlKey", "metaKey", "shiftKey", "altKey"];
+
+/** Whether `canvas` can be rendered from a worker. */
+export function supportsOffscreenScene(canvas) {
+  return typeof Worker === "function" && typeof canvas.transferControlToOffscreen === "function";
+}
+
+/** Rebuild an error the worker sent as { name, message, stage, issues }. */
+function deserializeError({ name, message, stage, issues }) {
+  if (name === "BrainConfigError") return new BrainConfigError(issues);
+  if (name === "MemoryGraphError") return new MemoryGraphError(issues);
+  if (name === "ModelLoadError") return new ModelLoadError(stage, message);
+  const error = new Error(message);
+  error.name = name;
+  if (stage !== undefined) error.stage = stage;
+  return error;
+}
+
+/** The worker resolves URLs against its own script; send absolute ones. */
+function absoluteUrl(url) {
+  return typeof url === "string" ? new URL(url, document.baseURI).href : url;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas - must not have a rendering context yet
+ * @param {Object} options - initBrainScene's options, resolved (see brainScene.js)
+ * @param {(canvas: HTMLCanvasElement) => Object} mountHere - main-thread mount, used when the worker can't render
+ * @returns same controller shape as initBrainScene, with `offscreen: true` while the worker renders
+ */
+export function initBrainSceneOffscreen(canvas, options, mountHere) {
+  const { autoPause, watchTheme, dragRotate, followMotion, onFallback, events, ...coreOptions } = options;
+  // Same fail-fast check the main-thread scene makes, so a bad inline config still throws from initBrainScene
+  const inlineConfig = validateBrainConfig(coreOptions.config && typeof coreOptions.config === "object" ? coreOptions.config : DEFAULT_BRAIN_CONFIG);
+
+  let worker;
+  let offscreenCanvas;
+  try {
+    // The page's query string rides along so ?debug=1 / ?nocache=1 apply inside the worker
+    worker = new Worker(new URL(`./brainScene.worker.js${location.search}`, import.meta.url), { type: "module" });
+    offscreenCanvas = canvas.transferControlToOffscreen();
+  } catch (error) {
+    worker?.terminate();
+    if (DEBUG) console.warn("[brain] worker rendering unavailable", error);
+    return mountHere(canvas);
+  }
+
+  let inner = null; // main-thread controller after a fallback
+  let ready = false;
+  let seq = 0;
+  let nextId = 0;
+  const pending = new Map(); // call id → { resolve, reject }
+  let early = []; // calls made before "ready", replayed on a fallback
+  let memoryIds = new Set();
+  const top = QUALITY_LEVELS.length - 1;
+  let state = {
+    seq: 0,
+    mode: "webgl",
+    paused: false,
+    disposed: false,
+    reducedMotion: coreOptions.reducedMotion,
+    quality: { index: top, ...QUALITY_LEVELS[top] },
+    reveal: resolveReveal(coreOptions.reveal, canvas.dataset),
+    theme: null,
+    stats: null,
+    config: inlineConfig,
+    memoryGraph: null,
+    groups: [],
+  };
+
+  // --- Page → worker: size, visibility, theme, motion, pointer ---
+  function measure() {
+    const parent = canvas.parentElement;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      width: Math.max(canvas.clientWidth || parent?.clientWidth || 0, 1),
+      height: Math.max(canvas.clientHeight || parent?.clientHeight || 0, 1),
+      left: rect.left,
+      top: rect.top,
+      pixelRatio: window.devicePixelRatio || 1,
+    };
+  }
+
+  const onResize = () => worker.postMessage({ type: "resize", ...measure() });
+  const resizeObserver = typeof ResizeObserver === "function" ? new ResizeObserver(onResize) : null;
+  resizeObserver?.observe(canvas);
+  window.addEventListener("resize", onResize); // also catches pixel ratio changes (zoom, other screen)
+
+  const themeWatcher = watchTheme ? watchBrainTheme(canvas, (theme) => worker.postMessage({ type: "theme", theme })) : null;
+  const visibility = autoPause ? watchCanvasVisibility(canvas, (visible) => worker.postMessage({ type: "visibility", visible })) : null;
+  const stopMotion = followMotion ? motionPreference.on("change", ({ reduced }) => worker.postMessage({ type: "motion", reduced })) : null;
+
+  const pointersDown = new Set();
+  function forwardPointer(event) {
+    if (event.type === "pointerdown") {
+      pointersDown.add(event.pointerId);
+      canvas.setPointerCapture(event.pointerId);
+    } else if (event.type === "pointermove" && !pointersDown.size) {
+      return; // the controls only follow moves during a drag
+    } else if (event.type !== "pointermove") {
+      pointersDown.delete(event.pointerId);
+    }
+    const forwarded = { type: event.type };
+    for (const field of POINTER_FIELDS) forwarded[field] = event[field];
+    worker.postMessage({ type: "pointer", event: forwarded });
+  }
+  const preventContextMenu = (event) => event.preventDefault();
+  if (dragRotate) {
+    canvas.style.touchAction = "none";
+    POINTER_EVENTS.forEach((type) => canvas.addEventListener(type, forwardPointer));
+    canvas.addEventListener("contextmenu", preventContextMenu);
+  } else {
+    canvas.style.pointerEvents = "none"; // keep page clickable; brain is visual only
+  }
+
+  function teardownPage() {
+    resizeObserver?.disconnect();
+    window.removeEventListener("resize", onResize);
+    themeWatcher?.disconnect();
+    visibility?.disconnect();
+    stopMotion?.();
+    POINTER_EVENTS.forEach((type) => canvas.removeEventListener(type, forwardPointer));
+    canvas.removeEventListener("contextmenu", preventContextMenu);
+  }
+
+  // --- Worker → page ---
+  function applyState(next) {
+    // A snapshot taken before the worker saw our latest call would undo it (pause → paused: false);
+    // until it catches up only the frame-driven fields are taken
+    if (next.seq !== seq) {
+      state = { ...state, stats: next.stats, quality: next.quality };
+      return;
+    }
+    state = { ...state, ...next };
+    if ("memoryGraph" in next) memoryIds = new Set(next.memoryGraph?.memories.map((memory) => memory.id) ?? []);
+  }
+
+  function settlePending() {
+    pending.forEach(({ resolve }) => resolve(undefined)); // as the scene does for calls cut short by dispose()
+    pending.clear();
+  }
+
+  function fallbackToMainThread(reason, error) {
+    perfTimeline.mark("brain:offscreen-unavailable", { reason });
+    if (DEBUG) console.warn(`[brain] worker can't render (${reason}), rendering on the main thread`, error);
+    worker.terminate();
+    teardownPage();
+    // The transferred canvas can't get another context
+    const replacement = canvas.cloneNode(false);
+    canvas.replaceWith(replacement);
+    const calls = early;
+    early = [];
+    try {
+      inner = mountHere(replacement);
+    } catch (mountError) {
+      state.disposed = true;
+      events.emit("error", { stage: "init", error: mountError });
+      pending.forEach(({ reject }) => reject(mountError));
+      pending.clear();
+      return;
+    }
+    for (const { id, method, args } of calls) {
+      const result = Promise.resolve().then(() => inner[method](...args));
+      const caller = pending.get(id);
+      if (caller) result.then(caller.resolve, caller.reject);
+      else result.catch(() => {});
+    }
+    pending.clear();
+  }
+
+  worker.onmessage = (e) => {
+    const message = e.data;
+    switch (message.type) {
+      case "ready":
+        ready = true;
+        early = [];
+        applyState(message.state);
+        break;
+      case "unsupported":
+      case "error":
+        if (!ready) fallbackToMainThread(message.type === "unsupported" ? "webgl-unavailable" : "init-failed", deserializeError(message.error));
+        break;
+      case "state":
+        applyState(message.state);
+        break;
+      case "event": {
+        const payload = message.payload?.error ? { ...message.payload, error: deserializeError(message.payload.error) } : message.payload;
+        if (message.name === "fallback") onFallback?.(payload);
+        events.emit(message.name, payload);
+        break;
+      }
+      case "return":
+      case "throw": {
+        const caller = pending.get(message.id);
+        pending.delete(message.id);
+        if (message.type === "return") caller?.resolve(message.value);
+        else caller?.reject(deserializeError(message.error));
+        break;
+      }
+      case "timeline": {
+        // Worker times count from its own start; shift onto the page's clock
+        const { entry, timeOrigin } = message;
+        const start = entry.start + (timeOrigin - performance.timeOrigin);
+        if (entry.type === "mark") perfTimeline.mark(entry.name, entry.detail, start);
+        else perfTimeline.measure(entry.name, start, start + entry.duration, entry.detail);
+        break;
+      }
+      case "firstframe":
+        canvas.style.opacity = "1";
+        break;
+      case "disposed":
+        worker.terminate();
+        settlePending();
+        break;
+    }
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    const error = e.error ?? new Error(e.message || "Brain scene worker failed");
+    if (!ready) fallbackToMainThread("worker-failed", error);
+    else events.emit("error", { stage: "worker", error });
+  };
+
+  const { width, height, left, top: rectTop, pixelRatio } = measure();
+  worker.postMessage(
+    {
+      type: "init",
+      canvas: offscreenCanvas,
+      options: {
+        ...coreOptions,
+        modelUrl: absoluteUrl(coreOptions.modelUrl),
+        objUrl: absoluteUrl(coreOptions.objUrl),
+        config: absoluteUrl(coreOptions.config),
+        memoryGraph: absoluteUrl(coreOptions.memoryGraph),
+      },
+      host: {
+        width,
+        height,
+        left,
+        top: rectTop,
+        pixelRatio,
+        visible: visibility?.visible ?? true,
+        theme: themeWatcher?.theme ?? readBrainTheme(canvas),
+        dataset: { ...canvas.dataset },
+      },
+    },
+    [offscreenCanvas]
+  );
+
+  /** Post a controller call; with `reply` the returned promise settles with the worker's result. */
+  function callWorker(method, args, reply = false) {
+    const message = { type: "call", seq: ++seq, method, args };
+    if (!ready) early.push(message);
+    if (!reply) {
+      worker.postMessage(message);
+      return undefined;
+    }
+    message.id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(message.id, { resolve, reject });
+      worker.postMessage(message);
+    });
+  }
+
+  const controller = {
+    get mode() {
+      return inner ? inner.mode : state.mode;
+    },
+    get offscreen() {
+      return inner ? inner.offscreen : true;
+    },
+    pause() {
+      if (inner) return inner.pause();
+      if (state.disposed || state.paused) return;
+      state.paused = true;
+      callWorker("pause", []);
+    },
+    resume() {
+      if (inner) return inner.resume();
+      if (state.disposed || !state.paused) return;
+      state.paused = false;
+      callWorker("resume", []);
+    },
+    dispose() {
+      if (inner) return inner.dispose();
+      if (state.disposed) return;
+      state.disposed = true;
+      callWorker("dispose", []);
+      teardownPage();
+      canvas.style.opacity = "0";
+      events.clear();
+      if (!ready) {
+        worker.terminate();
+        settlePending();
+      }
+    },
+    replayScan() {
+      if (inner) return inner.replayScan();
+      if (!state.disposed) callWorker("replayScan", []);
+    },
+    setRevealMode(next, opts) {
+      if (inner) return inner.setRevealMode(next, opts);
+      if (!state.disposed) callWorker("setRevealMode", [next, opts]);
+    },
+    setConfig(source) {
+      if (inner) return inner.setConfig(source);
+      if (state.disposed) return Promise.resolve();
+      return callWorker("setConfig", [absoluteUrl(source)], true);
+    },
+    setMemoryGraph(source, opts) {
+      if (inner) return inner.setMemoryGraph(source, opts);
+      if (state.disposed) return Promise.resolve();
+      return callWorker("setMemoryGraph", [absoluteUrl(source), opts], true);
+    },
+    addMemory(memory, { links = [] } = {}) {
+      if (inner) return inner.addMemory(memory, { links });
+      if (state.disposed) return null;
+      const checked = checkMemoryAddition(memory, links, memoryIds);
+      memoryIds.add(checked.id);
+      callWorker("addMemory", [memory, { links }]);
+      return { id: checked.id, placed: canPlaceMemory(checked.type, state.config.regions) };
+    },
+    scrubMemories(time) {
+      if (inner) return inner.scrubMemories(time);
+      if (state.disposed || !state.memoryGraph) return;
+      if (time !== null && time !== undefined && !Number.isFinite(parseTimestamp(time))) {
+        throw new MemoryGraphError([`scrubTo: invalid time "${time}"`]);
+      }
+      callWorker("scrubMemories", [time]);
+    },
+    clearMemories() {
+      if (inner) return inner.clearMemories();
+      if (state.disposed) return;
+      memoryIds = new Set();
+      callWorker("clearMemories", []);
+    },
+    refreshTheme() {
+      if (inner) return inner.refreshTheme();
+      if (state.disposed) return;
+      if (themeWatcher) themeWatcher.refresh();
+      else worker.postMessage({ type: "theme", theme: readBrainTheme(canvas) });
+    },
+    setScanSpeed(multiplier) {
+      if (inner) return inner.setScanSpeed(multiplier);
+      if (!(multiplier > 0)) throw new RangeError(`Scan speed must be a positive number, got ${multiplier}`);
+      callWorker("setScanSpeed", [multiplier]);
+    },
+    setParticleStep(step) {
+      if (inner) return inner.setParticleStep(step);
+      if (state.disposed) return false;
+      if (step !== null && !(Number.isInteger(step) && step >= 1)) throw new RangeError(`Particle step must be a positive integer or null, got ${step}`);
+      if (state.stats && !state.stats.particleStepAdjustable) return false;
+      callWorker("setParticleStep", [step]);
+      return true;
+    },
+    seek(seconds) {
+      if (inner) return inner.seek(seconds);
+      throw new Error("seek() needs capture mode");
+    },
+    renderFrame() {
+      if (inner) return inner.renderFrame();
+      throw new Error("renderFrame() needs capture mode");
+    },
+    on: events.on,
+    off: events.off,
+    get clock() {
+      return inner ? inner.clock : null; // capture mode always renders on the main thread
+    },
+    get config() {
+      return inner ? inner.config : state.config;
+    },
+    get theme() {
+      return inner ? inner.theme : { ...(state.theme ?? readBrainTheme(canvas)) };
+    },
+    get memoryGraph() {
+      return inner ? inner.memoryGraph : state.memoryGraph;
+    },
+    get activeRegion() {
+      return inner ? inner.activeRegion : null; // region interaction always renders on the main thread
+    },
+    get reveal() {
+      return inner ? inner.reveal : { ...state.reveal };
+    },
+    get paused() {
+      return inner ? inner.paused : state.paused;
+    },
+    get disposed() {
+      return inner ? inner.disposed : state.disposed;
+    },
+    get reducedMotion() {
+      return inner ? inner.reducedMotion : state.reducedMotion;
+    },
+    get quality() {
+      return inner ? inner.quality : state.quality;
+    },
+    get stats() {
+      return inner ? inner.stats : state.stats;
+    },
+    get groups() {
+      return inner ? inner.groups : state.groups;
+    },
+  };
+  return controller;
+}
@@ -0,0 +1,101 @@
+/**
+ * Brain palette from CSS custom properties, so the hero follows the site theme (src/styles/base.css):
+ *   --mk-brain-points   point cloud          --mk-brain-pathway  pathway lines
+ *   --mk-brain-scan     reveal front glow    --mk-brain-node     region nodes
+ *   --mk-brain-fog      fog / backdrop       --mk-brain-light    ambient + spot light
+ * Read from the canvas (so a theme can be scoped to it) and normalized to "#rrggbb"; any CSS color
+ * the browser understands works. Unset or unparsable properties keep the built-in palette.
+ */
+
+export const DEFAULT_BRAIN_THEME = {
+  points: "#e2e8ef",
+  scan: "#38bdf8",
+  pathway: "#84ccff",
+  node: "#84ccff",
+  fog: "#020617",
+  light: "#b8c5cf",
+};
+
+let probe = null;
+
+/** Any CSS color → "#rrggbb" (alpha dropped), or null. The 2D context does the parsing. */
+export function normalizeColor(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  probe ??= document.createElement("canvas").getContext("2d");
+  if (!probe) return /^#[0-9a-f]{6}$/i.test(text) ? text.toLowerCase() : null;
+  // Two different sentinels: an invalid value leaves either one in place
+  probe.fillStyle = "#000000";
+  probe.fillStyle = text;
+  const first = probe.fillStyle;
+  probe.fillStyle = "#ffffff";
+  probe.fillStyle = text;
+  if (probe.fillStyle !== first) return null;
+  if (first.startsWith("#")) return first;
+  const rgb = first.match(/rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)/);
+  return rgb ? `#${rgb.slice(1, 4).map((c) => Number(c).toString(16).padStart(2, "0")).join("")}` : null;
+}
+
+/**
+ * @param {Element} element
+ * @returns {typeof DEFAULT_BRAIN_THEME}
+ */
+export function readBrainTheme(element) {
+  const style = getComputedStyle(element);
+  const theme = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_BRAIN_THEME)) {
+    theme[key] = normalizeColor(style.getPropertyValue(`--mk-brain-${key}`)) ?? fallback;
+  }
+  return theme;
+}
+
+function sameTheme(a, b) {
+  return Object.keys(DEFAULT_BRAIN_THEME).every((key) => a[key] === b[key]);
+}
+
+/**
+ * Calls `onChange(theme)` whenever the resolved palette changes: class/style/data-* attribute changes on
+ * `element` or its ancestors (theme toggles), stylesheets added or removed, and color-scheme / contrast
+ * media query switches. Checks are batched to one per frame.
+ * @param {Element} element
+ * @param {(theme: typeof DEFAULT_BRAIN_THEME) => void} onChange
+ * @returns {{ readonly theme: typeof DEFAULT_BRAIN_THEME, refresh(): void, disconnect(): void }}
+ */
+export function watchBrainTheme(element, onChange) {
+  let theme = readBrainTheme(element);
+  let frame = null;
+
+  function refresh() {
+    frame = null;
+    const next = readBrainTheme(element);
+    if (sameTheme(next, theme)) return;
+    theme = next;
+    onChange(theme);
+  }
+
+  function queue() {
+    if (frame === null) frame = requestAnimationFrame(refresh);
+  }
+
+  const observer = new MutationObserver(queue);
+  for (let node = element; node instanceof Element; node = node.parentElement) {
+    observer.observe(node, { attributes: true, attributeFilter: ["class", "style", "data-theme", "data-color-scheme"] });
+  }
+  if (document.head) observer.observe(document.head, { childList: true });
+
+  const queries = ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"].map((query) => window.matchMedia(query));
+  queries.forEach((query) => query.addEventListener("change", queue));
+
+  return {
+    get theme() {
+      return theme;
+    },
+    refresh,
+    disconnect() {
+      observer.disconnect();
+      queries.forEach((query) => query.removeEventListener("change", queue));
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+    },
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Tracks whether a canvas is worth drawing: on screen (IntersectionObserver)
+ * and in a visible tab (visibilitychange). `onChange(visible)` fires on transitions only.
+ * @param {Element} element
+ * @param {(visible: boolean) => void} onChange
+ * @returns {{ readonly visible: boolean, disconnect(): void }}
+ */
+export function watchCanvasVisibility(element, onChange) {
+  let inView = true;
+  let pageVisible = !document.hidden;
+  let visible = inView && pageVisible;
+
+  function update() {
+    const next = inView && pageVisible;
+    if (next === visible) return;
+    visible = next;
+    onChange(visible);
+  }
+
+  let observer = null;
+  if ("IntersectionObserver" in window) {
+    observer = new IntersectionObserver((entries) => {
+      inView = entries[entries.length - 1].isIntersecting;
+      update();
+    });
+    observer.observe(element);
+  }
+
+  function onVisibilityChange() {
+    pageVisible = !document.hidden;
+    update();
+  }
+  document.addEventListener("visibilitychange", onVisibilityChange);
+
+  return {
+    get visible() {
+      return visible;
+    },
+    disconnect() {
+      observer?.disconnect();
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+    },
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * Debug overlay for ?debug=1: the loading timeline recorded in perfTimeline.js, live FPS and frame-time
+ * graphs, draw calls and point counts from the brain controller, runtime controls for scan speed,
+ * particle step and reveal mode, and a JSON export of the session's metrics so loading performance can be
+ * compared across devices and model formats. Toggle with the ` key. main.js imports it on demand, so
+ * regular visits never download it.
+ */
+import { perfTimeline } from "./perfTimeline.js";
+import { REVEAL_MODES } from "./revealModes.js";
+
+const GRAPH_SAMPLES = 240;
+const GRAPH_HEIGHT = 72;
+const MAX_INTERVAL_MS = 250; // longer gaps are tab switches / hitches, not frame cost (as in qualityGovernor.js)
+const FPS_SCALE = 120;
+const FRAME_MS_SCALE = 33.3;
+const BUDGET_MS = 1000 / 60;
+const FPS_SMOOTHING = 30; // samples averaged for the FPS readout (~½ s)
+const PARTICLE_STEPS = [1, 2, 4, 8, 12, 16, 24];
+const SCAN_SPEEDS = { min: 0.25, max: 4, step: 0.25 };
+const EXPORT_VERSION = 1;
+
+/** Fixed-bucket histogram: session-long percentiles without keeping every sample. */
+function createHistogram(max, bucket) {
+  const counts = new Uint32Array(Math.ceil(max / bucket) + 1);
+  let count = 0;
+  let sum = 0;
+  let peak = 0;
+  return {
+    add(value) {
+      counts[Math.min(counts.length - 1, Math.floor(value / bucket))]++;
+      count++;
+      sum += value;
+      peak = Math.max(peak, value);
+    },
+    percentile(p) {
+      if (!count) return null;
+      let seen = 0;
+      for (let i = 0; i < counts.length; i++) {
+        seen += counts[i];
+        if (seen >= p * count) return (i + 1) * bucket;
+      }
+      return max;
+    },
+    summary() {
+      const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+      return {
+        count,
+        mean: count ? round(sum / count) : null,
+        p50: round(this.percentile(0.5)),
+        p95: round(this.percentile(0.95)),
+        p99: round(this.percentile(0.99)),
+        max: round(peak),
+      };
+    },
+  };
+}
+
+/** GPU name where the browser exposes it; a throwaway context, released straight away. */
+function gpuInfo() {
+  try {
+    const gl = document.createElement("canvas").getContext("webgl");
+    if (!gl) return null;
+    const ext = gl.getExtension("WEBGL_debug_renderer_info");
+    const info = {
+      vendor: gl.getParameter(ext ? ext.UNMASKED_VENDOR_WEBGL : gl.VENDOR),
+      renderer: gl.getParameter(ext ? ext.UNMASKED_RENDERER_WEBGL : gl.RENDERER),
+    };
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+    return info;
+  } catch {
+    return null;
+  }
+}
+
+function navigationTiming() {
+  const [nav] = performance.getEntriesByType?.("navigation") ?? [];
+  if (!nav) return null;
+  const ms = (value) => Math.round(value * 10) / 10;
+  return {
+    responseEnd: ms(nav.responseEnd),
+    domInteractive: ms(nav.domInteractive),
+    domContentLoaded: ms(nav.domContentLoadedEventEnd),
+    load: ms(nav.loadEventEnd),
+    transferSize: nav.transferSize,
+  };
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * @param {Object} opts
+ * @param {ReturnType<import("./brainScene.js").initBrainScene>|null} opts.brain - controller to inspect and steer
+ * @param {ReturnType<import("./perfTimeline.js").createPerfTimeline>} [opts.timeline=perfTimeline]
+ * @param {HTMLElement} [opts.container=document.body]
+ * @param {boolean} [opts.open=true] - start expanded
+ * @returns {{ element: HTMLElement, show(): void, hide(): void, toggle(): void, exportMetrics(): Object, download(): void, dispose(): void }}
+ */
+export function createDebugHud({ brain, timeline = perfTimeline, container = document.body, open = true }) {
+  const intervals = createHistogram(MAX_INTERVAL_MS, 1);
+  const renderCost = createHistogram(MAX_INTERVAL_MS, 0.25);
+  const fpsSamples = new Float32Array(GRAPH_SAMPLES);
+  const costSamples = new Float32Array(GRAPH_SAMPLES);
+  let sampleIndex = 0;
+  let lastFrame = null;
+  let rafId = null;
+  let timelineDirty = true;
+  let model = null; // "loaded" payload: source, vertex/point counts, load time
+
+  // --- DOM ---
+  const root = el("section", "mk-debug-hud");
+  root.setAttribute("aria-label", "Performance debug panel");
+  const header = el("header", "mk-debug-hud-header");
+  const title = el("strong", null, "MemoryKit debug");
+  const exportButton = el("button", "mk-debug-hud-button", "Export JSON");
+  exportButton.type = "button";
+  const toggleButton = el("button", "mk-debug-hud-button", "Hide");
+  toggleButton.type = "button";
+  toggleButton.title = "Toggle with `";
+  header.append(title, exportButton, toggleButton);
+  const body = el("div", "mk-debug-hud-body");
+
+  const statsList = el("dl", "mk-debug-hud-stats");
+  const statValues = {};
+  for (const [key, label] of [
+    ["fps", "FPS"],
+    ["frame", "Render ms"],
+    ["calls", "Draw calls"],
+    ["points", "Points"],
+    ["quality", "Quality"],
+    ["long", "Long frames"],
+  ]) {
+    statValues[key] = el("dd", null, "–");
+    statsList.append(el("dt", null, label), statValues[key]);
+  }
+
+  const graph = el("canvas", "mk-debug-hud-graph");
+  graph.width = GRAPH_SAMPLES;
+  graph.height = GRAPH_HEIGHT;
+  graph.setAttribute("aria-hidden", "true");
+  const graphCtx = graph.getContext("2d");
+  const legend = el("p", "mk-debug-hud-legend", `line: fps (0–${FPS_SCALE}) · bars: render ms (0–${FRAME_MS_SCALE.toFixed(0)}, guide 16.7)`);
+
+  const timelineList = el("ol", "mk-debug-hud-timeline");
+
+  const controls = el("div", "mk-debug-hud-controls");
+  const speedLabel = el("label", null, "Scan speed ");
+  const speedInput = el("input");
+  Object.assign(speedInput, { type: "range", min: SCAN_SPEEDS.min, max: SCAN_SPEEDS.max, step: SCAN_SPEEDS.step, value: brain?.stats?.scanSpeed ?? 1 });
+  const speedValue = el("output", null, `${speedInput.value}×`);
+  speedLabel.append(speedInput, speedValue);
+
+  const stepLabel = el("label", null, "Particle step ");
+  const stepSelect = el("select");
+  stepSelect.append(el("option", null, "auto"), ...PARTICLE_STEPS.map((step) => el("option", null, String(step))));
+  stepLabel.append(stepSelect);
+
+  const modeLabel = el("label", null, "Reveal ");
+  const modeSelect = el("select");
+  modeSelect.append(...Object.keys(REVEAL_MODES).map((mode) => el("option", null, mode)));
+  modeSelect.value = brain?.reveal?.mode ?? "plane";
+  const replayButton = el("button", "mk-debug-hud-button", "Replay");
+  replayButton.type = "button";
+  modeLabel.append(modeSelect, replayButton);
+  controls.append(speedLabel, stepLabel, modeLabel);
+  if (!brain) controls.hidden = true;
+
+  body.append(statsList, graph, legend, timelineList, controls);
+  root.append(header, body);
+  container.append(root);
+
+  // --- Controls ---
+  function onSpeed() {
+    brain.setScanSpeed(Number(speedInput.value));
+    speedValue.textContent = `${speedInput.value}×`;
+  }
+  function onStep() {
+    const applied = brain.setParticleStep(stepSelect.value === "auto" ? null : Number(stepSelect.value));
+    if (!applied) {
+      stepSelect.value = "auto";
+      stepSelect.title = "Needs the full-resolution model: WebGL with adaptive quality, or ?debug=1 from page load";
+    }
+  }
+  const onMode = () => brain.setRevealMode(modeSelect.value);
+  const onReplay = () => brain.replayScan();
+  speedInput.addEventListener("input", onSpeed);
+  stepSelect.addEventListener("change", onStep);
+  modeSelect.addEventListener("change", onMode);
+  replayButton.addEventListener("click", onReplay);
+  exportButton.addEventListener("click", download);
+  toggleButton.addEventListener("click", toggle);
+
+  function onKey(event) {
+    if (event.key !== "`" || event.target.closest?.("input, textarea, select, [contenteditable]")) return;
+    toggle();
+  }
+  window.addEventListener("keydown", onKey);
+
+  const unsubscribe = [
+    timeline.on("entry", () => {
+      timelineDirty = true;
+    }),
+    brain?.on("loaded", ({ source, vertexCount, pointCount, ms }) => {
+      model = { source, vertexCount, pointCount, ms: Math.round(ms) };
+    }),
+  ].filter(Boolean);
+
+  // --- Rendering ---
+  function renderTimeline() {
+    timelineDirty = false;
+    const entries = timeline.entries.sort((a, b) => a.start - b.start);
+    const end = Math.max(1, ...entries.map((entry) => entry.start + entry.duration));
+    timelineList.replaceChildren(
+      ...entries.map((entry) => {
+        const row = el("li", `mk-debug-hud-row mk-debug-hud-row--${entry.type}`);
+        const bar = el("span", "mk-debug-hud-bar");
+        bar.style.left = `${(entry.start / end) * 100}%`;
+        bar.style.width = entry.type === "measure" ? `${Math.max(0.5, (entry.duration / end) * 100)}%` : "";
+        const time = entry.type === "measure" ? `${entry.duration.toFixed(1)}ms` : `@${entry.start.toFixed(0)}`;
+        row.title = entry.detail ? JSON.stringify(entry.detail) : "";
+        row.append(el("span", "mk-debug-hud-name", entry.name), el("span", "mk-debug-hud-track", ""), el("span", "mk-debug-hud-time", time));
+        row.children[1].append(bar);
+        return row;
+      })
+    );
+  }
+
+  function drawGraph() {
+    const { width, height } = graph;
+    graphCtx.clearRect(0, 0, width, height);
+    const budgetY = height - (BUDGET_MS / FRAME_MS_SCALE) * height;
+    graphCtx.fillStyle = "rgba(148, 163, 184, 0.25)";
+    graphCtx.fillRect(0, budgetY, width, 1);
+    graphCtx.fillStyle = "rgba(56, 189, 248, 0.45)";
+    for (let i = 0; i < GRAPH_SAMPLES; i++) {
+      const value = costSamples[(sampleIndex + i) % GRAPH_SAMPLES];
+      const h = Math.min(1, value / FRAME_MS_SCALE) * height;
+      graphCtx.fillRect(i, height - h, 1, h);
+    }
+    graphCtx.strokeStyle = "#4ade80";
+    graphCtx.beginPath();
+    for (let i = 0; i < GRAPH_SAMPLES; i++) {
+      const y = height - Math.min(1, fpsSamples[(sampleIndex + i) % GRAPH_SAMPLES] / FPS_SCALE) * height;
+      if (i === 0) graphCtx.moveTo(i, y);
+      else graphCtx.lineTo(i, y);
+    }
+    graphCtx.stroke();
+  }
+
+  function renderStats(fps, stats) {
+    statValues.fps.textContent = fps ? fps.toFixed(0) : "–";
+    statValues.frame.textContent = stats ? stats.frameMs.toFixed(2) : "–";
+    statValues.calls.textContent = stats?.drawCalls ?? "–";
+    statValues.points.textContent = stats ? stats.points.toLocaleString() : "–";
+    const quality = brain?.quality;
+    statValues.quality.textContent = brain?.mode === "2d" ? "2d fallback" : quality ? `${quality.name} · step ${stats?.particleStep} · ${stats?.pixelRatio}x${brain.offscreen ? " · worker" : ""}` : "–";
+    statValues.long.textContent = stats?.longFrames ?? "–";
+  }
+
+  function tick(now) {
+    rafId = requestAnimationFrame(tick);
+    const interval = lastFrame === null ? null : now - lastFrame;
+    lastFrame = now;
+    if (interval === null || interval > MAX_INTERVAL_MS) return;
+    const stats = brain?.stats ?? null;
+    intervals.add(interval);
+    if (stats && !brain.paused) renderCost.add(stats.frameMs);
+    fpsSamples[sampleIndex] = 1000 / interval;
+    costSamples[sampleIndex] = stats?.frameMs ?? 0;
+    sampleIndex = (sampleIndex + 1) % GRAPH_SAMPLES;
+    if (body.hidden) return;
+    let sum = 0;
+    for (let i = 1; i <= FPS_SMOOTHING; i++) sum += fpsSamples[(sampleIndex - i + GRAPH_SAMPLES) % GRAPH_SAMPLES];
+    renderStats(sum / FPS_SMOOTHING, stats);
+    drawGraph();
+    if (timelineDirty) renderTimeline();
+  }
+
+  function onVisibility() {
+    lastFrame = null; // don't count the hidden gap
+  }
+  document.addEventListener("visibilitychange", onVisibility);
+
+  // --- Export ---
+  /** Everything needed to compare this session with another device or model format. */
+  function exportMetrics() {
+    const frameSummary = intervals.summary();
+    return {
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      page: { url: `${location.origin}${location.pathname}`, search: location.search },
+      device: {
+        userAgent: navigator.userAgent,
+        platform: navigator.userAgentData?.platform ?? navigator.platform ?? null,
+        hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+        deviceMemory: navigator.deviceMemory ?? null,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        screen: [screen.width, screen.height],
+        viewport: [window.innerWidth, window.innerHeight],
+        gpu: gpuInfo(),
+      },
+      navigation: navigationTiming(),
+      brain: brain
+        ? {
+            mode: brain.mode,
+            offscreen: brain.offscreen ?? false,
+            // "loaded" can beat the HUD's lazy import; the build phase carries the essentials too
+            model: model ?? timeline.entries.find((entry) => entry.name === "brain:build")?.detail ?? null,
+            quality: brain.quality?.name ?? null,
+            reveal: brain.reveal?.mode ?? null,
+            stats: brain.stats ?? null,
+          }
+        : null,
+      frames: {
+        intervalMs: frameSummary,
+        fps: frameSummary.mean ? Math.round((1000 / frameSummary.mean) * 10) / 10 : null,
+        renderMs: renderCost.summary(),
+        longFrames: brain?.stats?.longFrames ?? null,
+      },
+      timeline: timeline.entries,
+    };
+  }
+
+  function download() {
+    const blob = new Blob([JSON.stringify(exportMetrics(), null, 2)], { type: "application/json" });
+    const link = el("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `memorykit-perf-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  /** Expand the panel; hidden, it keeps sampling (the export still covers the whole session). */
+  function show() {
+    body.hidden = false;
+    toggleButton.textContent = "Hide";
+    timelineDirty = true;
+  }
+
+  function hide() {
+    body.hidden = true;
+    toggleButton.textContent = "Show";
+  }
+
+  function toggle() {
+    if (body.hidden) show();
+    else hide();
+  }
+
+  if (!open) hide();
+  rafId = requestAnimationFrame(tick);
+
+  return {
+    element: root,
+    show,
+    hide,
+    toggle,
+    exportMetrics,
+    download,
+    dispose() {
+      cancelAnimationFrame(rafId);
+      window.removeEventListener("keydown", onKey);
+      document.removeEventListener("visibilitychange", onVisibility);
+      unsubscribe.forEach((off) => off());
+      root.remove();
+    },
+  };
+}
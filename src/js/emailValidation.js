@@ -0,0 +1,159 @@
+/**
+ * Email validation for the waitlist: syntax, internationalised domains (converted to punycode
+ * for submission), plus addressing, a configurable disposable-domain blocklist and
+ * "did you mean …?" suggestions for typos of common provider domains.
+ */
+
+export const COMMON_DOMAINS = [
+  "gmail.com",
+  "googlemail.com",
+  "yahoo.com",
+  "yahoo.co.uk",
+  "yahoo.de",
+  "yahoo.fr",
+  "hotmail.com",
+  "hotmail.co.uk",
+  "hotmail.de",
+  "hotmail.fr",
+  "outlook.com",
+  "outlook.de",
+  "live.com",
+  "live.co.uk",
+  "msn.com",
+  "icloud.com",
+  "me.com",
+  "mac.com",
+  "aol.com",
+  "mail.com", // listed so it isn't "corrected" to gmail.com
+  "proton.me",
+  "protonmail.com",
+  "gmx.com",
+  "gmx.de",
+  "web.de",
+  "yandex.com",
+  "zoho.com",
+  "fastmail.com",
+  "hey.com",
+  "comcast.net",
+  "verizon.net",
+  "orange.fr",
+  "t-online.de",
+];
+
+export const DISPOSABLE_DOMAINS = [
+  "10minutemail.com",
+  "dispostable.com",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "getnada.com",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "mailinator.com",
+  "maildrop.cc",
+  "mintemail.com",
+  "sharklasers.com",
+  "temp-mail.org",
+  "tempmail.com",
+  "throwawaymail.com",
+  "trashmail.com",
+  "yopmail.com",
+];
+
+// RFC 5322 "dot-atom" local part (ASCII); the domain is checked after IDN conversion
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+const MAX_SUGGESTION_DISTANCE = 2;
+
+/** Optimal string alignment distance (Levenshtein + adjacent transpositions: "gmial" → "gmail" is 1). */
+export function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
+
+/** Unicode domain → lower-case ASCII (punycode) via the URL parser; null when it isn't a hostname. */
+export function toAsciiDomain(domain) {
+  try {
+    const { hostname } = new URL(`http://${domain}`);
+    return hostname.replace(/\.$/, "") || null;
+  } catch {
+    return null;
+  }
+}
+
+function isBlocked(domain, blocklist) {
+  return blocklist.some((blocked) => domain === blocked || domain.endsWith(`.${blocked}`));
+}
+
+function suggestDomain(domain, domains) {
+  if (domains.includes(domain)) return null;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of domains) {
+    const distance = editDistance(domain, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  // Short domains are too easy to "correct" into something else
+  const limit = domain.length <= 6 ? 1 : MAX_SUGGESTION_DISTANCE;
+  return bestDistance <= limit ? best : null;
+}
+
+/**
+ * @typedef {Object} EmailValidation
+ * @property {boolean} valid
+ * @property {"empty"|"format"|"local"|"domain"|"disposable"|null} reason
+ * @property {string} email - normalized for submission: trimmed, domain lower-cased and punycoded
+ * @property {string|null} canonical - lower-cased with any "+tag" removed, for de-duplication
+ * @property {string|null} suggestion - full corrected address when the domain looks like a typo
+ */
+
+/**
+ * @param {string} value
+ * @param {Object} [opts]
+ * @param {string[]} [opts.blocklist=DISPOSABLE_DOMAINS] - rejected domains (subdomains included)
+ * @param {string[]} [opts.domains=COMMON_DOMAINS] - domains typos are matched against
+ * @returns {EmailValidation}
+ */
+export function validateEmail(value, { blocklist = DISPOSABLE_DOMAINS, domains = COMMON_DOMAINS } = {}) {
+  const raw = String(value ?? "").trim();
+  const result = (reason, extra = {}) => ({ valid: reason === null, reason, email: raw, canonical: null, suggestion: null, ...extra });
+  if (!raw) return result("empty");
+
+  const at = raw.lastIndexOf("@");
+  if (at <= 0 || at === raw.length - 1 || /\s/.test(raw)) return result("format");
+  const local = raw.slice(0, at);
+  if (local.length > 64 || !LOCAL_PART.test(local)) return result("local");
+
+  const domain = toAsciiDomain(raw.slice(at + 1));
+  const labels = domain?.split(".") ?? [];
+  if (!domain || labels.length < 2 || !labels.every((label) => DOMAIN_LABEL.test(label)) || /^\d+$/.test(labels.at(-1))) {
+    return result("domain");
+  }
+
+  const email = `${local}@${domain}`;
+  const canonical = `${local.split("+")[0].toLowerCase()}@${domain}`;
+  if (isBlocked(domain, blocklist)) return result("disposable", { email, canonical });
+  const suggested = suggestDomain(domain, domains);
+  return result(null, { email, canonical, suggestion: suggested ? `${local}@${suggested}` : null });
+}
+
+/**
+ * De-duplication key for an address: `canonical` from validateEmail (lower-cased, "+tag" removed), so
+ * a+news@example.com and a@example.com are one signup. Unparsable input falls back to trimmed and lower-cased.
+ * @param {string} value
+ */
+export function canonicalEmail(value) {
+  return validateEmail(value, { blocklist: [], domains: [] }).canonical ?? String(value ?? "").trim().toLowerCase();
+}
@@ -0,0 +1,43 @@
+/**
+ * Tiny event emitter used by the scene controller and other page modules.
+ * Listener errors are caught so one bad subscriber can't break the emitter.
+ */
+export function createEmitter() {
+  const listeners = new Map();
+
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
+
+  function once(type, fn) {
+    const unsubscribe = on(type, (payload) => {
+      unsubscribe();
+      fn(payload);
+    });
+    return unsubscribe;
+  }
+
+  function off(type, fn) {
+    listeners.get(type)?.delete(fn);
+  }
+
+  function emit(type, payload) {
+    const set = listeners.get(type);
+    if (!set) return;
+    for (const fn of [...set]) {
+      try {
+        fn(payload);
+      } catch (err) {
+        console.error(`[emitter] "${type}" listener failed`, err);
+      }
+    }
+  }
+
+  function clear() {
+    listeners.clear();
+  }
+
+  return { on, once, off, emit, clear };
+}
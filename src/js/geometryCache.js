@@ -0,0 +1,117 @@
+/**
+ * IndexedDB cache for parsed brain geometry so returning visitors skip the
+ * download + worker parse. Entries are keyed by model URL and a content
+ * version (ETag / Last-Modified / explicit); a mismatched version is a miss
+ * and gets overwritten. Least-recently-used entries are evicted past the size cap.
+ */
+
+const DB_NAME = "mk-geometry-cache";
+const DB_VERSION = 1;
+const STORE = "models";
+export const DEFAULT_MAX_BYTES = 32 * 1024 * 1024;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "url" });
+      store.createIndex("usedAt", "usedAt");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("Geometry cache blocked by another tab"));
+  });
+}
+
+function entryBytes(entry) {
+  return Object.values(entry.arrays).reduce((sum, array) => sum + (array?.byteLength ?? 0), 0);
+}
+
+/**
+ * Asks the server which version of `url` is current without downloading it.
+ * @returns {Promise<string|null>} ETag or Last-Modified, or null when neither is exposed
+ */
+export async function fetchContentVersion(url, signal) {
+  const res = await fetch(url, { method: "HEAD", signal, cache: "no-cache" });
+  if (!res.ok) return null;
+  return res.headers.get("etag") || res.headers.get("last-modified");
+}
+
+/**
+ * Opens the cache. Resolves to null when IndexedDB is unavailable (private mode, old browsers)
+ * so callers can treat "no cache" and "miss" the same way.
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes]
+ */
+export async function openGeometryCache({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  if (typeof indexedDB === "undefined") return null;
+  let db;
+  try {
+    db = await openDb();
+  } catch {
+    return null;
+  }
+
+  function tx(mode) {
+    return db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} version
+   * @returns {Promise<{ arrays: Object<string, Float32Array|null>, meta: Object }|null>}
+   */
+  async function get(url, version) {
+    const entry = await promisify(tx("readonly").get(url));
+    if (!entry || entry.version !== version) return null;
+    entry.usedAt = Date.now();
+    tx("readwrite").put(entry); // touch for LRU; not awaited
+    return { arrays: entry.arrays, meta: entry.meta };
+  }
+
+  /**
+   * Stores typed arrays (structured-cloned, so the caller's arrays stay usable) plus small JSON metadata.
+   * Entries larger than the cap on their own are not stored.
+   */
+  async function put(url, version, arrays, meta = {}) {
+    const entry = { url, version, arrays, meta, usedAt: Date.now(), bytes: 0 };
+    entry.bytes = entryBytes(entry);
+    if (entry.bytes > maxBytes) return false;
+    await promisify(tx("readwrite").put(entry));
+    await evict();
+    return true;
+  }
+
+  /** Drops least-recently-used entries until the total is under the cap. */
+  async function evict() {
+    const entries = await promisify(tx("readonly").index("usedAt").getAll());
+    let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    const store = tx("readwrite");
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      store.delete(entry.url);
+      total -= entry.bytes;
+    }
+  }
+
+  function remove(url) {
+    return promisify(tx("readwrite").delete(url));
+  }
+
+  function clear() {
+    return promisify(tx("readwrite").clear());
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return { get, put, remove, clear, close };
+}
@@ -0,0 +1,196 @@
+/**
+ * Localization for the landing page. English is the source language: it lives in the markup
+ * and in each module's message defaults, so it needs no catalog. Other locales load a JSON
+ * catalog from src/locales/<locale>.json whose keys mirror those defaults ("waitlist.note",
+ * "waitlist.messages.errors.network", …); anything missing falls back to English.
+ *
+ * Messages interpolate {name} placeholders (numbers are locale-formatted) and pick plural forms
+ * from objects keyed by Intl.PluralRules categories, with "=N" for exact counts:
+ *   { "=0": "…", "one": "{count} second", "other": "{count} seconds" }
+ *
+ * Markup opts in with data-i18n="key" (text; "\n" becomes <br>) and
+ * data-i18n-attr="placeholder:key; aria-label:key".
+ */
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = ["en", "es", "ar"];
+const RTL_LANGUAGES = new Set(["ar", "fa", "he", "ur"]);
+const PLURAL_KEYS = new Set(["zero", "one", "two", "few", "many", "other"]);
+
+/** Picks the locale: ?lang= first, then the browser's preference list; exact tag, then base language. */
+export function resolveLocale({
+  search = location.search,
+  languages = navigator.languages ?? [navigator.language],
+  supported = SUPPORTED_LOCALES,
+} = {}) {
+  const requested = [new URLSearchParams(search).get("lang"), ...languages].filter(Boolean);
+  for (const tag of requested) {
+    const lower = tag.toLowerCase();
+    const match = supported.find((locale) => locale.toLowerCase() === lower)
+      ?? supported.find((locale) => locale.toLowerCase() === lower.split("-")[0]);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function textDirection(locale) {
+  return RTL_LANGUAGES.has(locale.split("-")[0].toLowerCase()) ? "rtl" : "ltr";
+}
+
+export function isPluralMessage(value) {
+  if (!value || typeof value !== "object" || !("other" in value)) return false;
+  return Object.keys(value).every((key) => PLURAL_KEYS.has(key) || /^=\d+$/.test(key));
+}
+
+/**
+ * @param {string|Object} message - plain string or plural object
+ * @param {Record<string, unknown>} [params] - `count` selects the plural form
+ * @param {string} [locale]
+ */
+export function formatMessage(message, params = {}, locale = DEFAULT_LOCALE) {
+  let text = message;
+  if (isPluralMessage(message)) {
+    const count = Number(params.count ?? 0);
+    text = message[`=${count}`] ?? message[new Intl.PluralRules(locale).select(count)] ?? message.other;
+  }
+  const numbers = new Intl.NumberFormat(locale);
+  return String(text ?? "").replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? numbers.format(value) : String(value);
+  });
+}
+
+/** Fetches src/locales/<locale>.json; English (and any failure) yields an empty catalog. */
+export async function loadCatalog(locale, { baseUrl = "src/locales/", signal } = {}) {
+  if (locale === DEFAULT_LOCALE) return {};
+  try {
+    const res = await fetch(`${baseUrl}${locale}.json`, { signal });
+    if (!res.ok) throw new Error(`Catalog ${locale} ${res.status}`);
+    return await res.json();
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    console.warn(`[i18n] falling back to ${DEFAULT_LOCALE}:`, error.message);
+    return {};
+  }
+}
+
+function lookup(catalog, key) {
+  let node = catalog;
+  for (const part of key.split(".")) {
+    if (node === null || typeof node !== "object" || !(part in node)) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+// Source (English) text of translated elements, so switching back restores it
+const originals = new WeakMap();
+let current = null; // translator of the locale the page shows, once initI18n has applied one
+
+function setText(el, text) {
+  const lines = text.split("\n");
+  el.replaceChildren(...lines.flatMap((line, i) => (i ? [document.createElement("br"), line] : [line])));
+}
+
+/**
+ * @param {string} locale
+ * @param {Object} catalog
+ */
+export function createTranslator(locale, catalog) {
+  /** Message for `key` (falls back to `fallback`, then the key itself), formatted with `params`. */
+  function t(key, params = {}, fallback = key) {
+    return formatMessage(lookup(catalog, key) ?? fallback, params, locale);
+  }
+
+  /**
+   * Overlay catalog entries under `prefix` onto a tree of default messages (unformatted, so
+   * placeholders and plural objects survive for the caller to format later).
+   */
+  function tree(prefix, defaults) {
+    if (typeof defaults === "string" || isPluralMessage(defaults)) {
+      const found = lookup(catalog, prefix);
+      return typeof found === typeof defaults ? found : defaults;
+    }
+    return Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, tree(`${prefix}.${key}`, value)]));
+  }
+
+  function translateDom(root = document) {
+    for (const el of root.querySelectorAll("[data-i18n]")) {
+      if (!originals.has(el)) originals.set(el, { text: el.innerText ?? el.textContent });
+      const message = lookup(catalog, el.dataset.i18n);
+      setText(el, typeof message === "string" ? message : originals.get(el).text);
+    }
+    for (const el of root.querySelectorAll("[data-i18n-attr]")) {
+      if (!originals.has(el)) originals.set(el, {});
+      const saved = originals.get(el);
+      for (const pair of el.dataset.i18nAttr.split(";")) {
+        const [attr, key] = pair.split(":").map((part) => part.trim());
+        if (!attr || !key) continue;
+        if (!(attr in saved)) saved[attr] = el.getAttribute(attr);
+        const message = lookup(catalog, key);
+        el.setAttribute(attr, typeof message === "string" ? message : saved[attr] ?? "");
+      }
+    }
+  }
+
+  return { locale, dir: textDirection(locale), t, tree, translateDom };
+}
+
+/** The page's translator for copy created after the last "mk:localechange" (null before initI18n has applied a locale). */
+export function currentTranslator() {
+  return current;
+}
+
+/**
+ * Resolves the locale, loads its catalog, translates the page and sets lang/dir on <html>.
+ * Announces every change with a "mk:localechange" event on document ({ detail: translator }).
+ * @param {Object} [opts]
+ * @param {string} [opts.baseUrl="src/locales/"]
+ * @param {string[]} [opts.supported=SUPPORTED_LOCALES]
+ * @param {Document|HTMLElement} [opts.root=document]
+ * @returns {Promise<ReturnType<typeof createTranslator> & { setLocale(locale: string): Promise<void> }>}
+ */
+export async function initI18n({ baseUrl = "src/locales/", supported = SUPPORTED_LOCALES, root = document } = {}) {
+  let translator = createTranslator(DEFAULT_LOCALE, {});
+  let request = 0; // latest setLocale call; older ones still loading are dropped
+  let loading = null;
+
+  /** Switches the page to `locale`; a later call made before this one's catalog arrives wins. */
+  async function setLocale(locale) {
+    const next = supported.includes(locale) ? locale : DEFAULT_LOCALE;
+    const token = ++request;
+    loading?.abort();
+    loading = new AbortController();
+    let catalog;
+    try {
+      catalog = await loadCatalog(next, { baseUrl, signal: loading.signal });
+    } catch (error) {
+      if (token !== request) return; // superseded (its fetch was aborted)
+      throw error;
+    }
+    if (token !== request) return;
+    loading = null;
+    translator = createTranslator(next, catalog);
+    document.documentElement.lang = next;
+    document.documentElement.dir = translator.dir;
+    translator.translateDom(root);
+    current = translator;
+    document.dispatchEvent(new CustomEvent("mk:localechange", { detail: translator }));
+  }
+
+  await setLocale(resolveLocale({ supported }));
+
+  return {
+    setLocale,
+    get locale() {
+      return translator.locale;
+    },
+    get dir() {
+      return translator.dir;
+    },
+    t: (...args) => translator.t(...args),
+    tree: (...args) => translator.tree(...args),
+    translateDom: (el) => translator.translateDom(el),
+  };
+}
@@ -1,28 +1,91 @@
 import { initBrainScene } from "./brainScene.js";
 import { initWaitlistForm } from "./waitlistForm.js";
+import { WAITLIST_MESSAGES } from "./waitlistStatus.js";
+import { initI18n } from "./i18n.js";
+import { perfTimeline } from "./perfTimeline.js";
+import { resolveWaitlistProvider } from "./waitlistProviders.js";
 import { initReinforceLine } from "./reinforceLine.js";
+import { registerServiceWorker } from "./serviceWorker.js";
+import { initMotionToggle, motionPreference } from "./motionPreference.js";
+import { analytics, beaconSink, consoleSink } from "./analytics.js";
 
 const DEBUG = /[?&]debug=1/.test(location.search);
+const CAPTURE = /[?&]capture=1/.test(location.search); // stills/clips of the brain (brainCapture.js, scripts/render-og-image.js)
 window.__pageLoadTime = performance.now();
 
+/**
+ * Analytics sinks from the page config (analytics.js): <meta name="mk-analytics-endpoint"> receives batched
+ * beacons (empty: nothing is sent), <meta name="mk-analytics-consent"> is "required" (default) or "implied".
+ * A consent banner reports the visitor's choice as a "mk:analyticsconsent" event on the document ({ granted }).
+ */
+function initAnalytics() {
+  const meta = (name) => document.querySelector(`meta[name="${name}"]`)?.content.trim() ?? "";
+  analytics.requireConsent = meta("mk-analytics-consent") !== "implied";
+  const endpoint = meta("mk-analytics-endpoint");
+  if (endpoint) analytics.addSink(beaconSink({ url: endpoint }));
+  if (DEBUG) {
+    analytics.addSink(consoleSink());
+    window.__analytics = analytics; // setConsent(true), tracking, doNotTrack from the console
+  }
+  document.addEventListener("mk:analyticsconsent", ({ detail }) => analytics.setConsent(detail?.granted ?? null));
+  analytics.track("page:view", { locale: document.documentElement.lang, reducedMotion: motionPreference.reduced });
+}
+
 window.addEventListener("DOMContentLoaded", () => {
+  perfTimeline.mark("page:domcontentloaded");
   if (DEBUG) console.log("[main] DOMContentLoaded at", (performance.now() - window.__pageLoadTime).toFixed(0) + "ms");
 
   const canvas = document.getElementById("mk-brain-canvas");
-  if (canvas instanceof HTMLCanvasElement) {
-    requestAnimationFrame(() => initBrainScene(canvas));
-  }
+  if (CAPTURE) document.documentElement.dataset.capture = "";
+  else initAnalytics(); // before the modules that publish, so page:view comes first
+  requestAnimationFrame(() => {
+    if (CAPTURE) {
+      // Frozen page, brain on a fixed-timestep clock; resolves to the capture controller
+      window.__brainCapture = import("./brainCapture.js").then(({ initCapturePage }) => initCapturePage(canvas));
+      return;
+    }
+    const brain = canvas instanceof HTMLCanvasElement ? initBrainScene(canvas) : null;
+    if (!DEBUG) return;
+    window.__brainScene = brain; // poke pause/resume/replayScan from the console
+    // Performance HUD (timeline, FPS, controls, JSON export); only fetched in debug mode
+    import("./debugHud.js").then(({ createDebugHud }) => {
+      window.__debugHud = createDebugHud({ brain });
+    });
+  });
 
-  // Waitlist: form and message elements (IDs match index.html / Brevo markup)
+  // Waitlist: form and message elements (IDs match index.html); provider from data-provider on the form
   const form = document.getElementById("sib-form");
   const messageElement = document.getElementById("mk-waitlist-confirm");
   const emailInput = document.getElementById("EMAIL");
   const formRow = form?.querySelector(".mk-waitlist-row") ?? null;
   const noteElement = document.getElementById("mk-waitlist-note");
 
+  let waitlist = null;
   if (form instanceof HTMLFormElement && messageElement && emailInput instanceof HTMLInputElement) {
-    initWaitlistForm({ form, messageElement, emailInput, formRow, noteElement });
+    waitlist = initWaitlistForm({ form, messageElement, emailInput, formRow, noteElement, provider: resolveWaitlistProvider(form) });
   }
 
-  initReinforceLine();
+  // Page copy (and reinforce phrases) are translated in the DOM; form messages are handed over on every locale change
+  document.addEventListener("mk:localechange", ({ detail: i18n }) => {
+    waitlist?.setMessages(i18n.tree("waitlist.messages", WAITLIST_MESSAGES), i18n.locale);
+    const localeInput = form?.querySelector('input[type="hidden"][name="locale"]');
+    if (localeInput) localeInput.value = i18n.locale;
+  });
+  initI18n().then((i18n) => {
+    if (DEBUG) window.__i18n = i18n; // try i18n.setLocale("ar") from the console
+  });
+
+  const reinforce = initReinforceLine(CAPTURE ? { autoplay: false } : undefined);
+  if (DEBUG) window.__reinforce = reinforce; // play/pause/next from the console
+
+  // Reduced motion for the brain, reinforce line and form; the scene and line follow the shared preference themselves
+  initMotionToggle(document.querySelector(".mk-motion-toggle"));
+});
+
+// Offline support once the page has loaded; a newer deploy waiting behind this one is announced as a
+// "mk:updateavailable" event on the document (detail.apply() switches to it and reloads)
+window.addEventListener("load", () => {
+  registerServiceWorker({
+    onUpdate: (update) => document.dispatchEvent(new CustomEvent("mk:updateavailable", { detail: update })),
+  });
 });
@@ -0,0 +1,509 @@
+/**
+ * Memory-graph mode: renders a user's memories onto the brain. Each memory becomes a point
+ * clustered around the region whose `kind` (or name) matches its type; each link becomes a
+ * curved pathway between two memories. New memories animate in ("stored") and the whole
+ * graph can be scrubbed through time.
+ *
+ * {
+ *   memories: [{ id, type, timestamp, label? }],   // timestamp: epoch ms, ISO string or Date
+ *   links: [{ from, to }]                          // memory ids
+ * }
+ * Memories whose type matches no region are kept but not drawn (listed in `unplaced`).
+ */
+
+import * as THREE from "../vendor/three@0.160.0/build/three.module.js";
+import { createCurvedPath } from "./brainPathways.js";
+import { createRandom } from "./random.js";
+
+const STORE_DURATION = 1.6; // seconds for a new memory to travel into its region
+const CLUSTER_RADIUS = [8, 24]; // min/max distance of a memory from its region node
+const LINK_SEGMENTS = 16;
+const SCRUB_FADE = 0.03; // share of the time range over which memories fade in at the scrub cursor
+const NEVER = -1e9; // birth time for memories that appear without the store animation
+const NO_CUTOFF = 1e20; // uCutoff when not scrubbing (GLSL has no portable Infinity)
+
+const KIND_COLORS = {
+  episodic: "#7dd3fc",
+  semantic: "#a5b4fc",
+  procedural: "#86efac",
+  affective: "#f9a8d4",
+  analytic: "#fde68a",
+};
+const DEFAULT_COLOR = "#e2e8ef";
+
+export class MemoryGraphError extends Error {
+  /** @param {string[]} issues - one human-readable line per problem, prefixed with its path */
+  constructor(issues) {
+    super(`Invalid memory graph:\n  ${issues.join("\n  ")}`);
+    this.name = "MemoryGraphError";
+    this.issues = issues;
+  }
+}
+
+/** Epoch ms from a number, ISO string or Date; NaN otherwise. */
+export function parseTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "number") return value;
+  if (typeof value === "string") return Date.parse(value);
+  return NaN;
+}
+
+/** FNV-1a, so a memory lands in the same spot on every load. */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function checkMemory(memory, path, issues) {
+  const id = memory?.id;
+  if ((typeof id !== "string" || !id) && !Number.isFinite(id)) issues.push(`${path}.id: expected a string or number`);
+  if (typeof memory?.type !== "string" || !memory.type) issues.push(`${path}.type: expected a non-empty string`);
+  const time = parseTimestamp(memory?.timestamp);
+  if (!Number.isFinite(time)) issues.push(`${path}.timestamp: expected epoch ms, an ISO date string or a Date`);
+  return { ...memory, id: String(id), time };
+}
+
+/**
+ * Checks one memory to add to a graph holding `knownIds`. Throws MemoryGraphError listing every problem.
+ * @param {Object} memory
+ * @param {Array<string|number>} linkTo - ids of existing memories to link to
+ * @param {Set<string>|Map<string, unknown>} knownIds
+ * @returns {{ id: string, type: string, time: number, label?: string }}
+ */
+export function checkMemoryAddition(memory, linkTo, knownIds) {
+  const issues = [];
+  const checked = checkMemory(memory, "memory", issues);
+  if (knownIds.has(checked.id)) issues.push(`memory.id: duplicate id "${checked.id}"`);
+  linkTo.forEach((id, i) => {
+    if (!knownIds.has(String(id))) issues.push(`links[${i}]: unknown memory "${id}"`);
+  });
+  if (issues.length) throw new MemoryGraphError(issues);
+  return checked;
+}
+
+/** Whether memories of `type` have a region to sit in (matched by region kind, else name). */
+export function canPlaceMemory(type, regions) {
+  return regions.some((region) => (region.kind ?? region.name) === type);
+}
+
+/**
+ * Checks a graph and resolves timestamps. Throws MemoryGraphError listing every problem at once.
+ * @param {Object} input
+ * @returns {{ memories: Array<{ id: string, type: string, time: number, label?: string }>, links: Array<{ from: string, to: string }> }}
+ */
+export function validateMemoryGraph(input) {
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    throw new MemoryGraphError(["graph: expected an object"]);
+  }
+  const issues = [];
+  const memoriesIn = input.memories ?? [];
+  const linksIn = input.links ?? [];
+  const ids = new Set();
+  const memories = [];
+  if (!Array.isArray(memoriesIn)) issues.push("memories: expected an array");
+  else {
+    memoriesIn.forEach((memory, i) => {
+      const checked = checkMemory(memory, `memories[${i}]`, issues);
+      if (ids.has(checked.id)) issues.push(`memories[${i}].id: duplicate id "${checked.id}"`);
+      ids.add(checked.id);
+      memories.push(checked);
+    });
+  }
+  const links = [];
+  if (!Array.isArray(linksIn)) issues.push("links: expected an array");
+  else {
+    linksIn.forEach((link, i) => {
+      for (const end of ["from", "to"]) {
+        if (!ids.has(String(link?.[end]))) issues.push(`links[${i}].${end}: unknown memory "${link?.[end]}"`);
+      }
+      links.push({ from: String(link?.from), to: String(link?.to) });
+    });
+  }
+  if (issues.length) throw new MemoryGraphError(issues);
+  return { memories, links };
+}
+
+/**
+ * Resolves an inline graph or a JSON URL (e.g. a local export) into a validated graph.
+ * @param {Object|string} source
+ * @param {AbortSignal} [signal]
+ */
+export async function loadMemoryGraph(source, signal) {
+  if (typeof source !== "string") return validateMemoryGraph(source);
+  const res = await fetch(source, { signal });
+  if (!res.ok) throw new Error(`Memory graph fetch ${source} ${res.status}`);
+  let json;
+  try {
+    json = await res.json();
+  } catch (err) {
+    throw new MemoryGraphError([`${source}: not valid JSON (${err.message})`]);
+  }
+  return validateMemoryGraph(json);
+}
+
+const pointVertexShader = `
+  precision highp float;
+  attribute vec3 aFrom;
+  attribute vec3 aColor;
+  attribute float aTime;
+  attribute float aBorn;
+  uniform float uNow;
+  uniform float uStore;
+  uniform float uCutoff;
+  uniform float uFade;
+  uniform float uSize;
+  varying vec3 vColor;
+  varying float vAlpha;
+  varying float vFlash;
+
+  void main() {
+    float p = clamp((uNow - aBorn) / uStore, 0.0, 1.0);
+    vec3 pos = mix(aFrom, position, 1.0 - pow(1.0 - p, 3.0));
+    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+
+    // Hidden past the scrub cursor; the newest memories at the cursor glow
+    float shown = uFade > 0.0 ? 1.0 - smoothstep(uCutoff - uFade, uCutoff, aTime) : 1.0;
+    float recent = uFade > 0.0 ? smoothstep(uCutoff - uFade * 4.0, uCutoff - uFade, aTime) * shown : 0.0;
+    vFlash = max(1.0 - p, recent);
+    vAlpha = shown * step(aBorn, uNow);
+    vColor = aColor;
+    gl_PointSize = uSize * (1.0 + 2.0 * vFlash) * (300.0 / -mvPosition.z);
+  }
+`;
+
+const pointFragmentShader = `
+  precision highp float;
+  varying vec3 vColor;
+  varying float vAlpha;
+  varying float vFlash;
+
+  void main() {
+    float dist = length(gl_PointCoord - vec2(0.5));
+    if (dist > 0.5 || vAlpha <= 0.0) discard;
+    float alpha = smoothstep(0.5, 0.1, dist) * vAlpha;
+    gl_FragColor = vec4(mix(vColor, vec3(1.0), vFlash * 0.6), alpha);
+  }
+`;
+
+const linkVertexShader = `
+  precision highp float;
+  attribute vec3 aColor;
+  attribute float aTime;
+  attribute float aBorn;
+  attribute float aAlong;
+  uniform float uNow;
+  uniform float uStore;
+  uniform float uCutoff;
+  uniform float uFade;
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    // Links draw in from their source once the newer memory has arrived
+    float p = clamp((uNow - aBorn - uStore) / uStore, 0.0, 1.0);
+    float drawn = step(aAlong, p);
+    float shown = uFade > 0.0 ? 1.0 - smoothstep(uCutoff - uFade, uCutoff, aTime) : 1.0;
+    vAlpha = drawn * shown;
+    vColor = aColor;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const linkFragmentShader = `
+  precision highp float;
+  uniform float uOpacity;
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    if (vAlpha <= 0.0) discard;
+    gl_FragColor = vec4(vColor, vAlpha * uOpacity);
+  }
+`;
+
+/**
+ * @param {Object} opts
+ * @param {Array<{ name: string, kind?: string, pos: number[] }>} opts.regions - validated brain config regions
+ * @param {number} [opts.pointSize=4]
+ * @returns {{ group: THREE.Group, setGraph(graph: Object, opts?: { animate?: boolean, now?: number }): void, addMemory(memory: Object, opts?: { links?: Array<string|number>, now?: number, animate?: boolean }): Object,
+ *   setRegions(regions: Object[]): void, scrubTo(time: number|string|Date|null): void, clear(): void, update(now: number): void, dispose(): void,
+ *   readonly memories: Object[], readonly links: Object[], readonly unplaced: string[], readonly timeRange: { start: number, end: number }|null, readonly scrubTime: number|null }}
+ */
+export function createMemoryGraph({ regions, pointSize = 4 }) {
+  const group = new THREE.Group();
+  group.name = "memory-graph";
+
+  const uniforms = {
+    uNow: { value: 0 },
+    uStore: { value: STORE_DURATION },
+    uCutoff: { value: NO_CUTOFF },
+    uFade: { value: 0 },
+  };
+  const pointMaterial = new THREE.ShaderMaterial({
+    uniforms: { ...uniforms, uSize: { value: pointSize } },
+    vertexShader: pointVertexShader,
+    fragmentShader: pointFragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  const linkMaterial = new THREE.ShaderMaterial({
+    uniforms: { ...uniforms, uOpacity: { value: 0.45 } },
+    vertexShader: linkVertexShader,
+    fragmentShader: linkFragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  const points = new THREE.Points(new THREE.BufferGeometry(), pointMaterial);
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry(), linkMaterial);
+  points.frustumCulled = false;
+  lines.frustumCulled = false;
+  group.add(lines, points);
+
+  let regionsByKind = new Map();
+  let memories = []; // { id, type, time, label, born, pos, from }
+  let links = [];
+  let unplaced = [];
+  let byId = new Map();
+  let scrubTime = null;
+  let now = 0;
+
+  function indexRegions(list) {
+    regionsByKind = new Map();
+    for (const region of list) {
+      const kind = region.kind ?? region.name;
+      if (!regionsByKind.has(kind)) regionsByKind.set(kind, []);
+      regionsByKind.get(kind).push(region);
+    }
+  }
+
+  /** Deterministic spot for a memory: a random offset around one of its type's regions. */
+  function place(memory) {
+    const candidates = regionsByKind.get(memory.type);
+    if (!candidates) return null;
+    const random = createRandom(hashString(memory.id));
+    const region = candidates[Math.floor(random() * candidates.length)];
+    const z = 2 * random() - 1;
+    const phi = 2 * Math.PI * random();
+    const r = CLUSTER_RADIUS[0] + (CLUSTER_RADIUS[1] - CLUSTER_RADIUS[0]) * Math.cbrt(random());
+    const s = Math.sqrt(1 - z * z) * r;
+    const pos = [region.pos[0] + s * Math.cos(phi), region.pos[1] + s * Math.sin(phi), region.pos[2] + z * r];
+    // Stored memories arrive from outside the brain along the region's direction
+    const len = Math.hypot(...region.pos) || 1;
+    const from = region.pos.map((c) => c + (c / len) * 140);
+    return { pos, from };
+  }
+
+  function colorOf(type) {
+    return new THREE.Color(KIND_COLORS[type] ?? DEFAULT_COLOR);
+  }
+
+  function relayout() {
+    unplaced = [];
+    for (const memory of memories) {
+      const spot = place(memory);
+      memory.pos = spot?.pos ?? null;
+      memory.from = spot?.from ?? null;
+      if (!spot) unplaced.push(memory.id);
+    }
+    rebuild();
+  }
+
+  function rebuild() {
+    const placed = memories.filter((memory) => memory.pos);
+    const base = timeRange()?.start ?? 0;
+    const seconds = (ms) => (ms - base) / 1000; // float32-safe relative time
+
+    const position = new Float32Array(placed.length * 3);
+    const from = new Float32Array(placed.length * 3);
+    const color = new Float32Array(placed.length * 3);
+    const time = new Float32Array(placed.length);
+    const born = new Float32Array(placed.length);
+    placed.forEach((memory, i) => {
+      position.set(memory.pos, i * 3);
+      from.set(memory.from, i * 3);
+      colorOf(memory.type).toArray(color, i * 3);
+      time[i] = seconds(memory.time);
+      born[i] = memory.born;
+    });
+    points.geometry.dispose();
+    points.geometry = new THREE.BufferGeometry();
+    points.geometry.setAttribute("position", new THREE.BufferAttribute(position, 3));
+    points.geometry.setAttribute("aFrom", new THREE.BufferAttribute(from, 3));
+    points.geometry.setAttribute("aColor", new THREE.BufferAttribute(color, 3));
+    points.geometry.setAttribute("aTime", new THREE.BufferAttribute(time, 1));
+    points.geometry.setAttribute("aBorn", new THREE.BufferAttribute(born, 1));
+
+    const drawn = links.filter((link) => byId.get(link.from).pos && byId.get(link.to).pos);
+    const vertexCount = drawn.length * LINK_SEGMENTS * 2;
+    const linkPosition = new Float32Array(vertexCount * 3);
+    const linkColor = new Float32Array(vertexCount * 3);
+    const linkTime = new Float32Array(vertexCount);
+    const linkBorn = new Float32Array(vertexCount);
+    const along = new Float32Array(vertexCount);
+    let v = 0;
+    for (const link of drawn) {
+      const a = byId.get(link.from);
+      const b = byId.get(link.to);
+      const distance = Math.hypot(b.pos[0] - a.pos[0], b.pos[1] - a.pos[1], b.pos[2] - a.pos[2]);
+      const curve = createCurvedPath(a.pos, b.pos, LINK_SEGMENTS, 6 + distance * 0.2);
+      const c = colorOf(a.type).lerp(colorOf(b.type), 0.5);
+      for (let s = 0; s < LINK_SEGMENTS; s++) {
+        for (const k of [s, s + 1]) {
+          curve[k].toArray(linkPosition, v * 3);
+          c.toArray(linkColor, v * 3);
+          linkTime[v] = seconds(Math.max(a.time, b.time));
+          linkBorn[v] = Math.max(a.born, b.born);
+          along[v] = k / LINK_SEGMENTS;
+          v++;
+        }
+      }
+    }
+    lines.geometry.dispose();
+    lines.geometry = new THREE.BufferGeometry();
+    lines.geometry.setAttribute("position", new THREE.BufferAttribute(linkPosition, 3));
+    lines.geometry.setAttribute("aColor", new THREE.BufferAttribute(linkColor, 3));
+    lines.geometry.setAttribute("aTime", new THREE.BufferAttribute(linkTime, 1));
+    lines.geometry.setAttribute("aBorn", new THREE.BufferAttribute(linkBorn, 1));
+    lines.geometry.setAttribute("aAlong", new THREE.BufferAttribute(along, 1));
+
+    applyScrub();
+  }
+
+  function timeRange() {
+    if (!memories.length) return null;
+    let start = Infinity;
+    let end = -Infinity;
+    for (const { time } of memories) {
+      start = Math.min(start, time);
+      end = Math.max(end, time);
+    }
+    return { start, end };
+  }
+
+  function applyScrub() {
+    const range = timeRange();
+    if (scrubTime === null || !range) {
+      uniforms.uCutoff.value = NO_CUTOFF;
+      uniforms.uFade.value = 0;
+      return;
+    }
+    const span = Math.max((range.end - range.start) / 1000, 1);
+    uniforms.uFade.value = span * SCRUB_FADE;
+    // + fade so the memory exactly at the cursor is fully shown
+    uniforms.uCutoff.value = (scrubTime - range.start) / 1000 + uniforms.uFade.value;
+  }
+
+  /**
+   * Replace the whole graph. With `animate`, memories are stored one after another in timestamp order.
+   * @param {Object} graph - unvalidated input; throws MemoryGraphError
+   */
+  function setGraph(graph, { animate = false, now: at = now } = {}) {
+    const valid = validateMemoryGraph(graph);
+    const order = [...valid.memories].sort((a, b) => a.time - b.time);
+    const stagger = Math.min(0.08, 4 / Math.max(order.length, 1));
+    const rank = new Map(order.map((memory, i) => [memory.id, i]));
+    memories = valid.memories.map((memory) => ({
+      ...memory,
+      born: animate ? at + rank.get(memory.id) * stagger : NEVER,
+    }));
+    byId = new Map(memories.map((memory) => [memory.id, memory]));
+    links = valid.links;
+    relayout();
+  }
+
+  /**
+   * Store one memory at runtime; animates it travelling into its region.
+   * @param {Object} memory - { id, type, timestamp, label? }
+   * @param {Object} [opts]
+   * @param {Array<string|number>} [opts.links] - ids of existing memories to link it to
+   * @param {boolean} [opts.animate=true] - false shows it in place right away
+   * @returns {{ id: string, placed: boolean }}
+   */
+  function addMemory(memory, { links: linkTo = [], now: at = now, animate = true } = {}) {
+    const checked = checkMemoryAddition(memory, linkTo, byId);
+    const entry = { ...checked, born: animate ? at : NEVER, ...(place(checked) ?? { pos: null, from: null }) };
+    if (!entry.pos) unplaced.push(entry.id);
+    memories.push(entry);
+    byId.set(entry.id, entry);
+    for (const id of linkTo) links.push({ from: String(id), to: entry.id });
+    rebuild();
+    return { id: entry.id, placed: entry.pos !== null };
+  }
+
+  function setRegions(list) {
+    indexRegions(list);
+    relayout();
+  }
+
+  /** Show the graph as it was at `time` (epoch ms, ISO string or Date); null shows everything. */
+  function scrubTo(time) {
+    if (time === null || time === undefined) {
+      scrubTime = null;
+    } else {
+      const parsed = parseTimestamp(time);
+      if (!Number.isFinite(parsed)) throw new MemoryGraphError([`scrubTo: invalid time "${time}"`]);
+      scrubTime = parsed;
+    }
+    applyScrub();
+  }
+
+  function clear() {
+    memories = [];
+    links = [];
+    unplaced = [];
+    byId = new Map();
+    scrubTime = null;
+    rebuild();
+  }
+
+  /** @param {number} seconds - scene clock (performance.now() / 1000), same as used for `now` above */
+  function update(seconds) {
+    now = seconds;
+    uniforms.uNow.value = seconds;
+  }
+
+  function dispose() {
+    points.geometry.dispose();
+    lines.geometry.dispose();
+    pointMaterial.dispose();
+    linkMaterial.dispose();
+    group.removeFromParent();
+    group.clear();
+  }
+
+  indexRegions(regions);
+  rebuild();
+
+  return {
+    group,
+    setGraph,
+    addMemory,
+    setRegions,
+    scrubTo,
+    clear,
+    update,
+    dispose,
+    get memories() {
+      return memories.map(({ id, type, time, label }) => ({ id, type, timestamp: time, label }));
+    },
+    get links() {
+      return links.map((link) => ({ ...link }));
+    },
+    get unplaced() {
+      return [...unplaced];
+    },
+    get timeRange() {
+      return timeRange();
+    },
+    get scrubTime() {
+      return scrubTime;
+    },
+  };
+}
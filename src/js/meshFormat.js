@@ -0,0 +1,147 @@
+/**
+ * Compact binary point/mesh format (.mkm) for the brain model.
+ * Shared by the browser loader and scripts/convert-model.js.
+ *
+ * Layout (little-endian), 48-byte header then data:
+ *   0  char[4] magic "MKM1"
+ *   4  u16     version
+ *   6  u16     flags (FLAG_NORMALS | FLAG_QUANTIZED)
+ *   8  u32     pointCount  - vertices stored in the file
+ *   12 u32     sourceCount - vertices in the source triangle soup
+ *   16 u32     step        - decimation step applied (1 = full triangle soup)
+ *   20 f32[6]  bbox min xyz, max xyz
+ *   44 u32     reserved
+ * Positions: f32 × 3 per point, or u16 × 3 normalized into the bbox when quantized.
+ * Normals (optional): f32 × 3, or i8 × 3 (snorm) when quantized. Each block is 4-byte aligned.
+ */
+
+export const MESH_MAGIC = "MKM1";
+export const MESH_VERSION = 1;
+export const FLAG_NORMALS = 1;
+export const FLAG_QUANTIZED = 2;
+const HEADER_BYTES = 48;
+
+const align4 = (n) => (n + 3) & ~3;
+
+/** Axis-aligned bounds of an xyz Float32Array. */
+export function computeBounds(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const value = positions[i + k];
+      if (value < min[k]) min[k] = value;
+      if (value > max[k]) max[k] = value;
+    }
+  }
+  if (positions.length === 0) return { min: [0, 0, 0], max: [0, 0, 0] };
+  return { min, max };
+}
+
+/**
+ * @param {Object} mesh
+ * @param {Float32Array} mesh.positions
+ * @param {Float32Array|null} [mesh.normals]
+ * @param {boolean} [mesh.quantize=false]
+ * @param {number} [mesh.step=1] - decimation step already applied to positions/normals
+ * @param {number} [mesh.sourceCount] - vertex count before decimation
+ * @param {{ min: number[], max: number[] }} [mesh.bounds] - bounds of the source; computed when omitted
+ * @returns {ArrayBuffer}
+ */
+export function encodeMesh({ positions, normals = null, quantize = false, step = 1, sourceCount, bounds }) {
+  const pointCount = positions.length / 3;
+  const bbox = bounds ?? computeBounds(positions);
+  const positionBytes = align4(pointCount * 3 * (quantize ? 2 : 4));
+  const normalBytes = normals ? align4(pointCount * 3 * (quantize ? 1 : 4)) : 0;
+  const buffer = new ArrayBuffer(HEADER_BYTES + positionBytes + normalBytes);
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < 4; i++) view.setUint8(i, MESH_MAGIC.charCodeAt(i));
+  view.setUint16(4, MESH_VERSION, true);
+  view.setUint16(6, (normals ? FLAG_NORMALS : 0) | (quantize ? FLAG_QUANTIZED : 0), true);
+  view.setUint32(8, pointCount, true);
+  view.setUint32(12, sourceCount ?? pointCount * step, true);
+  view.setUint32(16, step, true);
+  for (let k = 0; k < 3; k++) {
+    view.setFloat32(20 + k * 4, bbox.min[k], true);
+    view.setFloat32(32 + k * 4, bbox.max[k], true);
+  }
+
+  let offset = HEADER_BYTES;
+  if (quantize) {
+    const out = new Uint16Array(buffer, offset, pointCount * 3);
+    for (let i = 0; i < out.length; i++) {
+      const k = i % 3;
+      const range = bbox.max[k] - bbox.min[k] || 1;
+      out[i] = Math.round(((positions[i] - bbox.min[k]) / range) * 65535);
+    }
+  } else {
+    new Float32Array(buffer, offset, pointCount * 3).set(positions);
+  }
+  offset += positionBytes;
+
+  if (normals) {
+    if (quantize) {
+      const out = new Int8Array(buffer, offset, pointCount * 3);
+      for (let i = 0; i < out.length; i++) out[i] = Math.round(Math.max(-1, Math.min(1, normals[i])) * 127);
+    } else {
+      new Float32Array(buffer, offset, pointCount * 3).set(normals);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Decodes an .mkm buffer. Unquantized data is returned as views on `buffer` (no copy).
+ * @param {ArrayBuffer} buffer
+ * @returns {{ positions: Float32Array, normals: Float32Array|null, pointCount: number, sourceCount: number, step: number, bounds: { min: number[], max: number[] } }}
+ */
+export function decodeMesh(buffer) {
+  if (buffer.byteLength < HEADER_BYTES) throw new Error("Mesh file too small");
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+  if (magic !== MESH_MAGIC) throw new Error(`Bad mesh magic "${magic}"`);
+  const version = view.getUint16(4, true);
+  if (version !== MESH_VERSION) throw new Error(`Unsupported mesh version ${version}`);
+  const flags = view.getUint16(6, true);
+  const pointCount = view.getUint32(8, true);
+  const sourceCount = view.getUint32(12, true);
+  const step = view.getUint32(16, true);
+  const bounds = { min: [], max: [] };
+  for (let k = 0; k < 3; k++) {
+    bounds.min.push(view.getFloat32(20 + k * 4, true));
+    bounds.max.push(view.getFloat32(32 + k * 4, true));
+  }
+
+  const quantized = (flags & FLAG_QUANTIZED) !== 0;
+  const positionBytes = align4(pointCount * 3 * (quantized ? 2 : 4));
+  const normalBytes = flags & FLAG_NORMALS ? align4(pointCount * 3 * (quantized ? 1 : 4)) : 0;
+  if (buffer.byteLength < HEADER_BYTES + positionBytes + normalBytes) throw new Error("Mesh file truncated");
+
+  let offset = HEADER_BYTES;
+  let positions;
+  if (quantized) {
+    const q = new Uint16Array(buffer, offset, pointCount * 3);
+    positions = new Float32Array(q.length);
+    for (let i = 0; i < q.length; i++) {
+      const k = i % 3;
+      positions[i] = bounds.min[k] + (q[i] / 65535) * (bounds.max[k] - bounds.min[k]);
+    }
+  } else {
+    positions = new Float32Array(buffer, offset, pointCount * 3);
+  }
+  offset += positionBytes;
+
+  let normals = null;
+  if (flags & FLAG_NORMALS) {
+    if (quantized) {
+      const q = new Int8Array(buffer, offset, pointCount * 3);
+      normals = new Float32Array(q.length);
+      for (let i = 0; i < q.length; i++) normals[i] = Math.max(-1, q[i] / 127);
+    } else {
+      normals = new Float32Array(buffer, offset, pointCount * 3);
+    }
+  }
+
+  return { positions, normals, pointCount, sourceCount, step, bounds };
+}
@@ -0,0 +1,108 @@
+/**
+ * Motion preference shared by everything on the page that moves (brain scene, reinforce line, form
+ * transitions). Motion is reduced when the visitor chose so with the page's motion toggle (saved in
+ * localStorage, shared across tabs), otherwise when the system asks for it (prefers-reduced-motion,
+ * followed live). Mirrored on <html data-motion="reduce|full"> so CSS can follow it too.
+ * Main thread only: the brain worker gets the value through its host (brainSceneProxy.js).
+ */
+import { createEmitter } from "./emitter.js";
+
+const STORAGE_KEY = "mk-motion";
+const CHOICES = ["reduce", "full"];
+
+function readChoice() {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY);
+    return CHOICES.includes(value) ? value : null;
+  } catch {
+    return null; // storage blocked: follow the system
+  }
+}
+
+function createMotionPreference() {
+  const events = createEmitter();
+  const media = typeof matchMedia === "function" ? matchMedia("(prefers-reduced-motion: reduce)") : null;
+  let choice = readChoice();
+  let reduced = compute();
+
+  function compute() {
+    return choice ? choice === "reduce" : Boolean(media?.matches);
+  }
+
+  function reflect() {
+    if (typeof document !== "undefined") document.documentElement.dataset.motion = reduced ? "reduce" : "full";
+  }
+
+  function update() {
+    const next = compute();
+    if (next === reduced) return;
+    reduced = next;
+    reflect();
+    events.emit("change", { reduced, source: choice ? "user" : "system" });
+  }
+
+  media?.addEventListener("change", update);
+  if (typeof window !== "undefined") {
+    window.addEventListener("storage", (event) => {
+      if (event.key !== STORAGE_KEY) return;
+      choice = readChoice();
+      update();
+    });
+  }
+  reflect();
+
+  return {
+    /** Whether motion should be reduced right now. */
+    get reduced() {
+      return reduced;
+    },
+    /** "reduce" | "full" when the visitor chose, null when following the system setting. */
+    get choice() {
+      return choice;
+    },
+    get systemReduced() {
+      return Boolean(media?.matches);
+    },
+    /**
+     * Save the visitor's choice; null goes back to following the system setting. A choice that matches
+     * the system setting is not stored, so a later system change still applies.
+     * @param {"reduce"|"full"|null} next
+     */
+    set(next) {
+      if (next !== null && !CHOICES.includes(next)) throw new RangeError(`Motion choice must be "reduce", "full" or null, got ${next}`);
+      choice = next === (this.systemReduced ? "reduce" : "full") ? null : next;
+      try {
+        if (choice) localStorage.setItem(STORAGE_KEY, choice);
+        else localStorage.removeItem(STORAGE_KEY);
+      } catch {
+        // not persisted; still applies to this page
+      }
+      update();
+    },
+    /** @param {"change"} type - fn receives { reduced, source: "user"|"system" } */
+    on: events.on,
+    off: events.off,
+  };
+}
+
+export const motionPreference = createMotionPreference();
+
+/**
+ * Wires a toggle button (aria-pressed) to the preference: pressed means reduced motion.
+ * @param {HTMLButtonElement|null} button
+ * @returns {{ destroy(): void }|null}
+ */
+export function initMotionToggle(button) {
+  if (!button) return null;
+  const sync = () => button.setAttribute("aria-pressed", String(motionPreference.reduced));
+  const onClick = () => motionPreference.set(motionPreference.reduced ? "full" : "reduce");
+  button.addEventListener("click", onClick);
+  const off = motionPreference.on("change", sync);
+  sync();
+  return {
+    destroy() {
+      button.removeEventListener("click", onClick);
+      off();
+    },
+  };
+}
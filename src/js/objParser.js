@@ -0,0 +1,211 @@
+/**
+ * OBJ parser shared by the browser worker and the Node conversion script.
+ * Parses v, vt, vn, f (triangles and polygons, fan-triangulated), o/g groups,
+ * usemtl and "\" line continuations. Outputs positions, normals and uvs as
+ * Float32Arrays (expanded per face vertex). OBJ indices are 1-based; negative = relative.
+ *
+ * Bad input never turns into corrupt geometry: faces with malformed or
+ * out-of-range vertex indices are skipped, missing normals/uvs become zeros,
+ * and every problem is reported in `diagnostics`.
+ */
+
+const MAX_DIAGNOSTICS = 200;
+const PROGRESS_INTERVAL = 0.05; // report roughly every 5% of the input
+const NOT_AN_INDEX = -2; // resolveIndex: the token is not an integer (-1: an integer out of range)
+
+/**
+ * @typedef {{ line: number, kind: "malformed"|"index-out-of-range", message: string }} ObjDiagnostic
+ * @typedef {{ name: string, object: string, material: string|null, start: number, count: number }} ObjGroup
+ *   Draw range in expanded vertices; a new range starts whenever the object, group or material changes.
+ */
+
+/**
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {(progress: { loaded: number, total: number }) => void} [opts.onProgress] - loaded/total in characters
+ * @returns {{ positions: Float32Array, normals: Float32Array, uvs: Float32Array|null, groups: ObjGroup[], materials: string[], diagnostics: ObjDiagnostic[], diagnosticCount: number }}
+ */
+export function parseObj(text, { onProgress } = {}) {
+  const lines = text.split(/\r?\n/);
+  const v = [];
+  const vt = [];
+  const vn = [];
+  const outPositions = [];
+  const outNormals = [];
+  const outUvs = [];
+  let anyUv = false;
+
+  const diagnostics = [];
+  let diagnosticCount = 0;
+  function report(line, kind, message) {
+    diagnosticCount++;
+    if (diagnostics.length < MAX_DIAGNOSTICS) diagnostics.push({ line, kind, message });
+  }
+
+  const groups = [];
+  const materials = [];
+  let objectName = "";
+  let groupName = "default";
+  let material = null;
+  let currentGroup = null;
+  function openGroup() {
+    currentGroup = { name: groupName, object: objectName, material, start: outPositions.length / 3, count: 0 };
+    groups.push(currentGroup);
+  }
+  function closeGroup() {
+    if (currentGroup) currentGroup.count = outPositions.length / 3 - currentGroup.start;
+    if (currentGroup && currentGroup.count === 0) groups.pop();
+    currentGroup = null;
+  }
+
+  /** Resolves a 1-based / negative OBJ index into a 0-based one; -1 when out of range, NOT_AN_INDEX when not an integer. */
+  function resolveIndex(str, length) {
+    if (!/^-?\d+$/.test(str)) return NOT_AN_INDEX;
+    const n = parseInt(str, 10);
+    const index = n < 0 ? length + n : n - 1;
+    return n !== 0 && index >= 0 && index < length ? index : -1;
+  }
+
+  function parseFloats(parts, count) {
+    const out = [];
+    for (let k = 1; k <= count; k++) {
+      const value = Number(parts[k]);
+      if (parts[k] === undefined || !Number.isFinite(value)) return null;
+      out.push(value);
+    }
+    return out;
+  }
+
+  const progressStep = Math.max(1, Math.floor(text.length * PROGRESS_INTERVAL));
+  let consumed = 0;
+  let nextProgress = progressStep;
+  let reported = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    let line = lines[i];
+    consumed += line.length + 1;
+    // Line continuation: a trailing backslash joins the next physical line
+    while (/\\\s*$/.test(line) && i + 1 < lines.length) {
+      i++;
+      consumed += lines[i].length + 1;
+      line = line.replace(/\\\s*$/, " ") + lines[i];
+    }
+    if (onProgress && consumed >= nextProgress) {
+      reported = Math.min(consumed, text.length);
+      onProgress({ loaded: reported, total: text.length });
+      nextProgress = consumed + progressStep;
+    }
+
+    const trim = line.trim();
+    if (!trim || trim.startsWith("#")) continue;
+    const parts = trim.split(/\s+/);
+    const key = parts[0];
+
+    if (key === "v" || key === "vn") {
+      const xyz = parseFloats(parts, 3);
+      if (!xyz) {
+        report(lineNo, "malformed", `"${key}" needs three numbers`);
+        (key === "v" ? v : vn).push(NaN, NaN, NaN); // keep later indices aligned; faces using it are rejected
+        continue;
+      }
+      (key === "v" ? v : vn).push(...xyz);
+      continue;
+    }
+    if (key === "vt") {
+      const uv = parseFloats(parts, 2);
+      if (!uv) report(lineNo, "malformed", `"vt" needs two numbers`);
+      vt.push(...(uv ?? [NaN, NaN]));
+      continue;
+    }
+    if (key === "o" || key === "g") {
+      closeGroup();
+      const name = parts.slice(1).join(" ") || "default";
+      if (key === "o") {
+        objectName = name;
+        groupName = name;
+      } else {
+        groupName = name;
+      }
+      continue;
+    }
+    if (key === "usemtl") {
+      closeGroup();
+      material = parts.slice(1).join(" ") || null;
+      if (material && !materials.includes(material)) materials.push(material);
+      continue;
+    }
+    if (key !== "f") continue; // s, l, p, mtllib… don't affect the triangle output
+
+    if (parts.length < 4) {
+      report(lineNo, "malformed", "face needs at least three vertices");
+      continue;
+    }
+    const verts = [];
+    let faceOk = true;
+    for (let j = 1; j < parts.length; j++) {
+      const segs = parts[j].split("/");
+      const vi = resolveIndex(segs[0], v.length / 3);
+      if (vi === NOT_AN_INDEX) {
+        report(lineNo, "malformed", `vertex index "${segs[0]}" is not an integer`);
+        faceOk = false;
+        break;
+      }
+      if (vi < 0) {
+        report(lineNo, "index-out-of-range", `vertex index ${segs[0]} is invalid (${v.length / 3} vertices defined)`);
+        faceOk = false;
+        break;
+      }
+      if (Number.isNaN(v[vi * 3])) {
+        report(lineNo, "malformed", `vertex index ${segs[0]} refers to a malformed vertex`);
+        faceOk = false;
+        break;
+      }
+      let ti = -1;
+      if (segs.length >= 2 && segs[1]) {
+        ti = resolveIndex(segs[1], vt.length / 2);
+        if (ti === NOT_AN_INDEX) report(lineNo, "malformed", `texture index "${segs[1]}" is not an integer`);
+        else if (ti < 0) report(lineNo, "index-out-of-range", `texture index ${segs[1]} is invalid (${vt.length / 2} defined)`);
+      }
+      let ni = -1;
+      if (segs.length >= 3 && segs[2]) {
+        ni = resolveIndex(segs[2], vn.length / 3);
+        if (ni === NOT_AN_INDEX) report(lineNo, "malformed", `normal index "${segs[2]}" is not an integer`);
+        else if (ni < 0) report(lineNo, "index-out-of-range", `normal index ${segs[2]} is invalid (${vn.length / 3} defined)`);
+      }
+      verts.push({ vi, ti, ni });
+    }
+    if (!faceOk) continue;
+
+    if (!currentGroup) openGroup();
+    for (let t = 1; t < verts.length - 1; t++) {
+      const a = verts[0], b = verts[t], c = verts[t + 1];
+      for (const { vi, ti, ni } of [a, b, c]) {
+        outPositions.push(v[vi * 3], v[vi * 3 + 1], v[vi * 3 + 2]);
+        if (ni >= 0 && !Number.isNaN(vn[ni * 3])) {
+          outNormals.push(vn[ni * 3], vn[ni * 3 + 1], vn[ni * 3 + 2]);
+        } else {
+          outNormals.push(0, 0, 0);
+        }
+        if (ti >= 0 && !Number.isNaN(vt[ti * 2])) {
+          outUvs.push(vt[ti * 2], vt[ti * 2 + 1]);
+          anyUv = true;
+        } else {
+          outUvs.push(0, 0);
+        }
+      }
+    }
+  }
+  closeGroup();
+  if (onProgress && reported < text.length) onProgress({ loaded: text.length, total: text.length });
+
+  return {
+    positions: new Float32Array(outPositions),
+    normals: new Float32Array(outNormals),
+    uvs: anyUv ? new Float32Array(outUvs) : null,
+    groups,
+    materials,
+    diagnostics,
+    diagnosticCount,
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Loading and runtime performance timeline shared by the brain modules and the debug HUD (debugHud.js).
+ * Phases (measure) and instants (mark) are kept in memory, a few dozen per session, and mirrored to the
+ * User Timing API so they also show in the browser's performance panel. Always on: the HUD can open late
+ * and still show the page load. Times are ms since navigation start (performance.now()).
+ */
+import { createEmitter } from "./emitter.js";
+
+const MAX_ENTRIES = 500;
+
+/**
+ * @typedef {Object} PerfEntry
+ * @property {"mark"|"measure"} type
+ * @property {string} name - "<area>:<phase>", e.g. "model:download", "brain:first-frame"
+ * @property {number} start
+ * @property {number} duration - 0 for marks
+ * @property {Object|null} detail
+ */
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.prefix="mk:"] - User Timing name prefix
+ * @param {boolean} [opts.userTiming=true]
+ */
+export function createPerfTimeline({ prefix = "mk:", userTiming = true } = {}) {
+  const entries = [];
+  const events = createEmitter();
+
+  function record(entry) {
+    if (entries.length >= MAX_ENTRIES) entries.shift();
+    entries.push(entry);
+    events.emit("entry", entry);
+    return entry;
+  }
+
+  /** @returns {PerfEntry} */
+  function mark(name, detail = null, time = performance.now()) {
+    if (userTiming) {
+      try {
+        performance.mark(prefix + name, { startTime: time, detail });
+      } catch {
+        // User Timing L3 missing or detail not cloneable: the in-memory entry is what matters
+      }
+    }
+    return record({ type: "mark", name, start: time, duration: 0, detail });
+  }
+
+  /** @returns {PerfEntry} */
+  function measure(name, start, end = performance.now(), detail = null) {
+    if (userTiming) {
+      try {
+        performance.measure(prefix + name, { start, end, detail });
+      } catch {
+        // see mark()
+      }
+    }
+    return record({ type: "measure", name, start, duration: Math.max(0, end - start), detail });
+  }
+
+  /**
+   * Start a phase now; the returned function ends it, merging any extra detail.
+   * @returns {(more?: Object) => PerfEntry}
+   */
+  function begin(name, detail) {
+    const start = performance.now();
+    return (more) => measure(name, start, performance.now(), detail || more ? { ...detail, ...more } : null);
+  }
+
+  return {
+    mark,
+    measure,
+    begin,
+    /** @returns {PerfEntry[]} */
+    get entries() {
+      return entries.slice();
+    },
+    clear() {
+      entries.length = 0;
+    },
+    on: events.on,
+    off: events.off,
+  };
+}
+
+/** The page's timeline. */
+export const perfTimeline = createPerfTimeline();
@@ -0,0 +1,80 @@
+/**
+ * Procedural brain-like point cloud used when the real model can't be loaded.
+ * Two folded hemispheres, a cerebellum and a stem, sized to the default brain
+ * config's region coordinates so the scan and pathways line up with it.
+ */
+import { createRandom } from "./random.js";
+
+const HEMISPHERE = { center: [0, 15, 44], radii: [100, 70, 42] };
+const CEREBELLUM = { center: [-70, -45, 0], radii: [38, 24, 60] };
+const STEM = { x: -30, z: 0, radius: 14, top: -35, bottom: -95 };
+
+function randomDirection(random) {
+  const z = 2 * random() - 1;
+  const phi = 2 * Math.PI * random();
+  const r = Math.sqrt(1 - z * z);
+  return [r * Math.cos(phi), r * Math.sin(phi), z];
+}
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+/** Ellipsoid surface point with a fold displacement; normal is the ellipsoid gradient. */
+function ellipsoidPoint(dir, { center, radii }, fold) {
+  const scale = 1 + fold;
+  return {
+    position: [
+      center[0] + dir[0] * radii[0] * scale,
+      center[1] + dir[1] * radii[1] * scale,
+      center[2] + dir[2] * radii[2] * scale,
+    ],
+    normal: normalize([dir[0] / radii[0], dir[1] / radii[1], dir[2] / radii[2]]),
+  };
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.count=12000]
+ * @param {number} [opts.seed=1]
+ * @returns {{ positions: Float32Array, normals: Float32Array }}
+ */
+export function generateProceduralBrain({ count = 12000, seed = 1 } = {}) {
+  const random = createRandom(seed);
+  const positions = new Float32Array(count * 3);
+  const normals = new Float32Array(count * 3);
+
+  for (let i = 0; i < count; i++) {
+    const part = random();
+    let point;
+    if (part < 0.85) {
+      const side = random() < 0.5 ? -1 : 1;
+      const dir = randomDirection(random);
+      if (dir[2] * side < 0) dir[2] *= 0.35; // flat medial wall along the longitudinal fissure
+      if (dir[1] < -0.4) dir[1] *= 0.75; // flatter underside
+      const theta = Math.acos(Math.max(-1, Math.min(1, dir[1])));
+      const phi = Math.atan2(dir[2], dir[0]);
+      const fold = 0.05 * Math.sin(9 * phi) * Math.sin(7 * theta) + 0.03 * Math.sin(17 * phi + 3 * theta);
+      point = ellipsoidPoint(dir, { center: [HEMISPHERE.center[0], HEMISPHERE.center[1], HEMISPHERE.center[2] * side], radii: HEMISPHERE.radii }, fold);
+    } else if (part < 0.95) {
+      const dir = randomDirection(random);
+      const fold = 0.04 * Math.sin(30 * dir[1]); // horizontal folia
+      point = ellipsoidPoint(dir, CEREBELLUM, fold);
+    } else {
+      const angle = 2 * Math.PI * random();
+      const y = STEM.top + (STEM.bottom - STEM.top) * random();
+      const taper = 1 - 0.3 * ((y - STEM.top) / (STEM.bottom - STEM.top));
+      const nx = Math.cos(angle);
+      const nz = Math.sin(angle);
+      point = {
+        position: [STEM.x + nx * STEM.radius * taper, y, STEM.z + nz * STEM.radius * taper],
+        normal: [nx, 0, nz],
+      };
+    }
+    positions.set(point.position, i * 3);
+    normals.set(point.normal, i * 3);
+  }
+
+  return { positions, normals };
+}
@@ -0,0 +1,92 @@
+/**
+ * Adaptive quality for the brain scene: watches frame intervals and steps
+ * point density / pixel ratio down when the target FPS isn't held, and back
+ * up when there is headroom. Levels are ordered lowest → highest.
+ */
+export const QUALITY_LEVELS = [
+  { name: "low", pixelRatio: 1, particleStep: 16 },
+  { name: "medium", pixelRatio: 1.5, particleStep: 12 },
+  { name: "high", pixelRatio: 2, particleStep: 8 },
+];
+
+/**
+ * Surface-sampled point counts per device class (detectDeviceClass). A budget is the point count at the
+ * highest level's density; lower levels draw a prefix of it (PARTICLE_STEP / particleStep of the points).
+ */
+export const POINT_BUDGETS = { low: 15000, medium: 30000, high: 50000 };
+
+/**
+ * Rough device class from core count, device memory (Chromium only) and a coarse primary pointer.
+ * @returns {"low"|"medium"|"high"}
+ */
+export function detectDeviceClass() {
+  const cores = navigator.hardwareConcurrency || 4;
+  const memory = navigator.deviceMemory ?? 4; // GB, rounded down and capped by the browser
+  const coarse = window.matchMedia?.("(pointer: coarse)").matches ?? false;
+  if (cores <= 2 || memory < 2) return "low";
+  if (coarse || cores <= 4 || memory <= 4) return "medium";
+  return "high";
+}
+
+const SAMPLE_SIZE = 90; // frames per verdict (~1.5s at 60fps)
+const MAX_SAMPLE_MS = 250; // longer gaps are hitches/tab switches, not render cost
+const DOWNGRADE_RATIO = 0.9;
+const UPGRADE_RATIO = 1.15;
+const RETRY_UPGRADE_MS = 30000; // don't climb back into a level that just failed
+
+/**
+ * @param {Object} opts
+ * @param {number} opts.targetFps
+ * @param {Array<{ name: string, pixelRatio: number, particleStep: number }>} [opts.levels]
+ * @param {number} [opts.initialLevel] - index into levels; defaults to the highest
+ * @param {(level: { index: number, name: string, pixelRatio: number, particleStep: number }) => void} opts.onChange
+ */
+export function createQualityGovernor({ targetFps, levels = QUALITY_LEVELS, initialLevel = levels.length - 1, onChange }) {
+  let index = initialLevel;
+  let samples = [];
+  const failedAt = new Map();
+
+  function current() {
+    return { index, ...levels[index] };
+  }
+
+  function setLevel(next) {
+    if (next === index || next < 0 || next >= levels.length) return;
+    index = next;
+    samples = [];
+    onChange(current());
+  }
+
+  /** Feed one frame interval in ms. */
+  function sample(dtMs) {
+    if (!(dtMs > 0) || dtMs > MAX_SAMPLE_MS) return;
+    samples.push(dtMs);
+    if (samples.length < SAMPLE_SIZE) return;
+
+    const avgMs = samples.reduce((sum, ms) => sum + ms, 0) / samples.length;
+    const fps = 1000 / avgMs;
+    samples = [];
+    const now = performance.now();
+    if (fps < targetFps * DOWNGRADE_RATIO && index > 0) {
+      failedAt.set(index, now);
+      setLevel(index - 1);
+    } else if (fps > targetFps * UPGRADE_RATIO && index < levels.length - 1) {
+      const lastFail = failedAt.get(index + 1);
+      if (lastFail === undefined || now - lastFail > RETRY_UPGRADE_MS) setLevel(index + 1);
+    }
+  }
+
+  /** Drop collected samples, e.g. after a pause so stale intervals don't skew the next verdict. */
+  function reset() {
+    samples = [];
+  }
+
+  return {
+    sample,
+    reset,
+    setLevel,
+    get level() {
+      return current();
+    },
+  };
+}
@@ -0,0 +1,15 @@
+/**
+ * Seeded PRNG (mulberry32) so procedural geometry looks the same on every load.
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
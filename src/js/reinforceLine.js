@@ -1,60 +1,325 @@
 /**
- * Hero reinforce line: cycles through three phrases with a soft
- * crossfade + subtle blur reveal (no slide). One line that “settles into focus.”
+ * Hero reinforce line: rotates through the .mk-hero-reinforce-phrase elements, one line at a time.
+ * Configured from data attributes on .mk-hero-reinforce (options passed to initReinforceLine win):
+ *   data-transition  "crossfade-blur" (default) | "typewriter" | "word-by-word"
+ *   data-duration    seconds per transition (0.6)
+ *   data-hold        seconds a phrase stays settled (3.2)
+ *   data-overlap     seconds the incoming phrase waits for the outgoing one (0.25)
+ *   data-autoplay    "false" to start paused
+ * Rotation pauses while the line is hovered, while focus is inside it and while the tab is hidden;
+ * a .mk-hero-reinforce-toggle button inside it pauses/resumes for good. Each new phrase is announced
+ * politely through a visually hidden live region (the animated phrases themselves are aria-hidden).
+ * Animates with GSAP when the global is present, otherwise with the Web Animations API, otherwise
+ * with CSS transitions. With reduced motion (motionPreference.js, followed live) every transition is a
+ * plain crossfade without blur.
+ * Publishes "reinforce:toggle" (the visitor paused or resumed) and "reinforce:cycle" (every phrase was shown, once
+ * per page view) to the page's analytics bus (analytics.js).
  */
-export function initReinforceLine() {
-  const container = document.querySelector(".mk-hero-reinforce-inner");
-  const phrases = document.querySelectorAll(".mk-hero-reinforce-phrase");
-  if (!container || !phrases.length) return;
-
-  const prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
-  const fadeDuration = 0.6;
-  const overlap = 0.25;
-  const holdDuration = 3.2;
-  const blurAmount = prefersReducedMotion ? "0px" : "4px";
+import { motionPreference } from "./motionPreference.js";
+import { analytics } from "./analytics.js";
+
+export const REINFORCE_TRANSITIONS = ["crossfade-blur", "typewriter", "word-by-word"];
+
+const DEFAULTS = { transition: "crossfade-blur", duration: 0.6, hold: 3.2, overlap: 0.25, autoplay: true };
+const EASE_GSAP = "power2.inOut";
+const EASE_CSS = "cubic-bezier(0.45, 0, 0.55, 1)"; // ≈ power2.inOut
+const WORD_STAGGER = 0.6; // share of the duration spread across word starts
+
+function readOptions(root) {
+  const data = root.dataset;
+  const seconds = (value, fallback) => {
+    const n = Number.parseFloat(value);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    transition: REINFORCE_TRANSITIONS.includes(data.transition) ? data.transition : DEFAULTS.transition,
+    duration: seconds(data.duration, DEFAULTS.duration),
+    hold: seconds(data.hold, DEFAULTS.hold),
+    overlap: seconds(data.overlap, DEFAULTS.overlap),
+    autoplay: data.autoplay !== "false",
+  };
+}
+
+/**
+ * Tween `el` from → to (opacity/filter) and resolve when done. GSAP, then WAAPI, then a CSS transition.
+ * @returns {Promise<void>}
+ */
+function tween(el, from, to, { duration, delay = 0 }) {
+  const gsap = globalThis.gsap;
+  if (gsap) {
+    return new Promise((resolve) => {
+      gsap.fromTo(el, from, { ...to, duration, delay, ease: EASE_GSAP, onComplete: resolve, onInterrupt: resolve });
+    });
+  }
+  if (typeof el.animate === "function") {
+    const animation = el.animate([from, to], { duration: duration * 1000, delay: delay * 1000, easing: EASE_CSS, fill: "backwards" });
+    Object.assign(el.style, to);
+    return animation.finished.then(() => {}, () => {});
+  }
+  const props = Object.keys(to);
+  Object.assign(el.style, from, { transition: "none" });
+  void el.offsetWidth; // commit the start values before transitioning
+  el.style.transition = props.map((prop) => `${prop} ${duration}s ${EASE_CSS} ${delay}s`).join(", ");
+  Object.assign(el.style, to);
+  return new Promise((resolve) => setTimeout(resolve, (duration + delay) * 1000));
+}
+
+/** Jump to the end state of any running tween on `el`. */
+function settle(el, to) {
+  globalThis.gsap?.killTweensOf(el);
+  el.getAnimations?.().forEach((animation) => animation.cancel());
+  el.style.transition = "none";
+  Object.assign(el.style, to);
+}
+
+/** Wrap each word (or character) in a span so it can be revealed on its own; text content is unchanged. */
+function splitText(el, by) {
+  const text = el.textContent;
+  const parts = by === "char" ? Array.from(text) : text.split(/(\s+)/);
+  el.replaceChildren(
+    ...parts.map((part) => {
+      if (/^\s+$/.test(part)) return part;
+      const span = document.createElement("span");
+      span.className = "mk-hero-reinforce-unit";
+      span.textContent = part;
+      return span;
+    })
+  );
+  return Array.from(el.querySelectorAll(".mk-hero-reinforce-unit"));
+}
+
+function unsplit(el) {
+  if (el.querySelector(".mk-hero-reinforce-unit")) el.textContent = el.textContent;
+}
+
+/**
+ * @param {Object} [opts] - overrides for the data-attribute options
+ * @param {HTMLElement|null} [opts.root] - defaults to .mk-hero-reinforce
+ * @param {"crossfade-blur"|"typewriter"|"word-by-word"} [opts.transition]
+ * @param {number} [opts.duration]
+ * @param {number} [opts.hold]
+ * @param {number} [opts.overlap]
+ * @param {boolean} [opts.autoplay]
+ * @returns {{ play(): void, pause(): void, toggle(): void, next(): void, readonly playing: boolean, readonly index: number, destroy(): void }|null}
+ */
+export function initReinforceLine({ root = document.querySelector(".mk-hero-reinforce"), ...overrides } = {}) {
+  const container = root?.querySelector(".mk-hero-reinforce-inner");
+  const phrases = root ? Array.from(root.querySelectorAll(".mk-hero-reinforce-phrase")) : [];
+  if (!container || !phrases.length) return null;
+
+  const options = { ...readOptions(root), ...overrides };
+  let blur;
+  let transition;
+  function applyMotion(reduced) {
+    blur = reduced ? "blur(0px)" : "blur(4px)";
+    transition = reduced ? "crossfade-blur" : options.transition;
+  }
+  applyMotion(motionPreference.reduced);
+  const toggleButton = root.querySelector(".mk-hero-reinforce-toggle");
+
   let index = 0;
+  let timer = null;
+  let timerStarted = 0;
+  let remaining = options.hold * 1000;
+  let typing = null; // running typewriter reveal ({ finish })
+  let seen = new Set([0]); // phrases shown so far, until the first full cycle is reported
+  const paused = new Set(options.autoplay ? [] : ["user"]); // user | hover | focus | hidden
+
+  const announcer = document.createElement("span");
+  announcer.className = "mk-visually-hidden";
+  announcer.setAttribute("aria-live", "polite");
+  announcer.setAttribute("aria-atomic", "true");
+  announcer.textContent = phrases[0].textContent.trim(); // set before insertion, so load isn't announced
+  root.append(announcer);
+  for (const el of phrases) el.setAttribute("aria-hidden", "true");
 
-  function setVisible(i) {
-    phrases.forEach((el, j) => {
-      el.classList.toggle("is-visible", j === i);
+  function showOut(el) {
+    el.classList.remove("is-visible", "is-typing");
+    if (transition === "crossfade-blur") return tween(el, { opacity: 1, filter: "blur(0px)" }, { opacity: 0, filter: blur }, options);
+    return tween(el, { opacity: 1 }, { opacity: 0 }, { duration: options.duration / 2 });
+  }
+
+  function showIn(el) {
+    el.classList.add("is-visible");
+    const delay = options.overlap;
+    if (transition === "word-by-word") {
+      settle(el, { opacity: 1, filter: "none" });
+      const words = splitText(el, "word");
+      const step = words.length > 1 ? (options.duration * WORD_STAGGER) / (words.length - 1) : 0;
+      const wordDuration = options.duration * (1 - WORD_STAGGER) || options.duration;
+      return Promise.all(
+        words.map((word, i) =>
+          tween(word, { opacity: 0, filter: blur }, { opacity: 1, filter: "blur(0px)" }, { duration: wordDuration, delay: delay + i * step })
+        )
+      );
+    }
+    if (transition === "typewriter") {
+      settle(el, { opacity: 1, filter: "none" });
+      const chars = splitText(el, "char");
+      if (!chars.length) return Promise.resolve();
+      chars.forEach((char) => (char.style.visibility = "hidden"));
+      el.classList.add("is-typing");
+      const interval = (options.duration * 1000) / Math.max(chars.length, 1);
+      return new Promise((resolve) => {
+        let shown = 0;
+        let step = null;
+        const start = setTimeout(() => {
+          step = setInterval(() => {
+            chars[shown++].style.visibility = "";
+            if (shown >= chars.length) finish();
+          }, interval);
+        }, delay * 1000);
+        function finish() {
+          clearTimeout(start);
+          clearInterval(step);
+          typing = null;
+          chars.forEach((char) => (char.style.visibility = ""));
+          resolve();
+        }
+        typing = { finish };
+      });
+    }
+    return tween(el, { opacity: 0, filter: blur }, { opacity: 1, filter: "blur(0px)" }, { ...options, delay });
+  }
+
+  /** Cut any running transition short, leaving only the current phrase visible. */
+  function settleAll() {
+    typing?.finish();
+    phrases.forEach((el, i) => {
+      unsplit(el);
+      el.classList.remove("is-typing");
+      settle(el, i === index ? { opacity: 1, filter: "blur(0px)" } : { opacity: 0, filter: blur });
+      el.classList.toggle("is-visible", i === index);
     });
   }
 
-  function animateTo(nextIndex) {
+  function goTo(nextIndex) {
+    if (nextIndex === index) return;
+    settleAll();
     const current = phrases[index];
     const next = phrases[nextIndex];
+    index = nextIndex;
+    if (seen) {
+      seen.add(index);
+      if (seen.size === phrases.length) {
+        analytics.track("reinforce:cycle", { phrases: phrases.length });
+        seen = null;
+      }
+    }
+    announcer.textContent = next.textContent.trim();
+    showOut(current);
+    showIn(next).then(() => {
+      if (phrases[index] === next) next.classList.remove("is-typing");
+    });
+  }
 
-    current.classList.remove("is-visible");
-    next.classList.add("is-visible");
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (paused.size) return;
+    timerStarted = performance.now();
+    timer = setTimeout(() => {
+      remaining = (options.duration + options.hold) * 1000;
+      goTo((index + 1) % phrases.length);
+      schedule();
+    }, remaining);
+  }
 
-    // Current: fade out (+ optional blur)
-    gsap.to(current, {
-      opacity: 0,
-      filter: `blur(${blurAmount})`,
-      duration: fadeDuration,
-      ease: "power2.inOut",
-    });
+  /** Stop the clock, keeping what's left of the current hold for when it resumes. */
+  function hold(reason) {
+    if (!paused.size && timer) remaining = Math.max(0, remaining - (performance.now() - timerStarted));
+    paused.add(reason);
+    clearTimeout(timer);
+    timer = null;
+  }
 
-    // Next: fade in and sharpen (blur reveal when motion allowed)
-    gsap.set(next, { opacity: 0, filter: `blur(${blurAmount})` });
-    gsap.to(next, {
-      opacity: 1,
-      filter: "blur(0px)",
-      duration: fadeDuration,
-      delay: overlap,
-      ease: "power2.inOut",
-    });
+  function release(reason) {
+    if (!paused.delete(reason)) return;
+    schedule();
+  }
 
-    index = nextIndex;
+  function syncToggle() {
+    toggleButton?.setAttribute("aria-pressed", String(paused.has("user")));
+    root.classList.toggle("is-paused", paused.has("user"));
   }
 
-  setVisible(0);
-  gsap.set(phrases[0], { opacity: 1, filter: "blur(0px)" });
+  const onEnter = () => hold("hover");
+  const onLeave = () => release("hover");
+  const onFocusIn = () => hold("focus");
+  const onFocusOut = (event) => {
+    if (!root.contains(event.relatedTarget)) release("focus");
+  };
+  const onVisibility = () => (document.hidden ? hold("hidden") : release("hidden"));
+  const onToggle = () => {
+    controller.toggle();
+    analytics.track("reinforce:toggle", { paused: paused.has("user"), index });
+  };
+  const onLocaleChange = () => {
+    announcer.textContent = phrases[index].textContent.trim();
+  };
+  const stopMotion = motionPreference.on("change", ({ reduced }) => {
+    applyMotion(reduced);
+    settleAll(); // a running transition would finish in the old style
+  });
+
+  root.addEventListener("mouseenter", onEnter);
+  root.addEventListener("mouseleave", onLeave);
+  root.addEventListener("focusin", onFocusIn);
+  root.addEventListener("focusout", onFocusOut);
+  document.addEventListener("visibilitychange", onVisibility);
+  document.addEventListener("mk:localechange", onLocaleChange);
+  toggleButton?.addEventListener("click", onToggle);
 
-  const interval = setInterval(() => {
-    const nextIndex = (index + 1) % phrases.length;
-    animateTo(nextIndex);
-  }, (fadeDuration + holdDuration) * 1000);
+  phrases.forEach((el, i) => {
+    el.classList.toggle("is-visible", i === 0);
+    settle(el, i === 0 ? { opacity: 1, filter: "blur(0px)" } : { opacity: 0, filter: blur });
+  });
+  if (document.hidden) paused.add("hidden");
+  syncToggle();
+  schedule();
 
-  return () => clearInterval(interval);
+  const controller = {
+    /** Resume; an explicit play also overrides the hover/focus pause (the toggle itself has focus). */
+    play() {
+      paused.delete("hover");
+      paused.delete("focus");
+      release("user");
+      syncToggle();
+    },
+    pause() {
+      hold("user");
+      syncToggle();
+    },
+    toggle() {
+      if (paused.has("user")) this.play();
+      else this.pause();
+    },
+    /** Advance now; the next automatic change comes a full hold later. */
+    next() {
+      remaining = (options.duration + options.hold) * 1000;
+      goTo((index + 1) % phrases.length);
+      if (!paused.size) schedule();
+    },
+    get playing() {
+      return paused.size === 0;
+    },
+    get index() {
+      return index;
+    },
+    destroy() {
+      clearTimeout(timer);
+      settleAll();
+      root.removeEventListener("mouseenter", onEnter);
+      root.removeEventListener("mouseleave", onLeave);
+      root.removeEventListener("focusin", onFocusIn);
+      root.removeEventListener("focusout", onFocusOut);
+      document.removeEventListener("visibilitychange", onVisibility);
+      document.removeEventListener("mk:localechange", onLocaleChange);
+      toggleButton?.removeEventListener("click", onToggle);
+      stopMotion();
+      announcer.remove();
+      phrases.forEach((el) => el.removeAttribute("aria-hidden"));
+    },
+  };
+  return controller;
 }
@@ -0,0 +1,116 @@
+/**
+ * Reveal modes for the brain scan shader. Each mode picks a per-point metric
+ * (distance along an axis, distance from an origin, or per-point noise) and a
+ * front that sweeps across that metric's range with its own duration and easing.
+ * "forget" runs the sweep inverted so the brain dissolves away instead of appearing.
+ */
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+// Shader metric ids (uMetric)
+export const METRIC_PLANE = 0;
+export const METRIC_RADIAL = 1;
+export const METRIC_NOISE = 2;
+
+/**
+ * duration: seconds, or null to derive it from `speed` (units/s) and the swept distance.
+ * width: glow band around the front, in metric units (noise metric runs 0–1).
+ */
+export const REVEAL_MODES = {
+  plane: { metric: METRIC_PLANE, invert: false, duration: null, speed: 80, easing: "linear", width: 15 },
+  radial: { metric: METRIC_RADIAL, invert: false, duration: 2.6, easing: "easeOutCubic", width: 18 },
+  dissolve: { metric: METRIC_NOISE, invert: false, duration: 2.4, easing: "easeInOutSine", width: 0.08 },
+  forget: { metric: METRIC_NOISE, invert: true, duration: 2.8, easing: "easeInCubic", width: 0.08 },
+};
+
+const AXES = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+/** "y", "-x", "1,0,1" or [x, y, z] → unit vector; falls back to +Y. */
+export function parseAxis(value) {
+  if (Array.isArray(value)) return normalize(value);
+  const text = String(value ?? "y").trim().toLowerCase();
+  const sign = text.startsWith("-") ? -1 : 1;
+  const name = text.replace(/^[+-]/, "");
+  if (AXES[name]) return AXES[name].map((c) => c * sign);
+  const parts = text.split(",").map(Number);
+  if (parts.length === 3 && parts.every(Number.isFinite)) return normalize(parts);
+  return AXES.y;
+}
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]);
+  return len > 0 ? v.map((c) => c / len) : AXES.y;
+}
+
+/**
+ * Merges mode defaults, canvas data attributes (data-reveal-mode, -axis, -region, -duration, -easing)
+ * and explicit options (highest precedence).
+ * @param {Object} [options]
+ * @param {DOMStringMap} [dataset]
+ * @returns {{ mode: string, metric: number, invert: boolean, axis: number[], region: string|null, duration: number|null, speed: number, easing: string, width: number }}
+ */
+export function resolveReveal(options = {}, dataset = {}) {
+  const fromData = {
+    mode: dataset.revealMode,
+    axis: dataset.revealAxis,
+    region: dataset.revealRegion,
+    duration: dataset.revealDuration !== undefined ? Number(dataset.revealDuration) : undefined,
+    easing: dataset.revealEasing,
+  };
+  const picked = { ...stripUndefined(fromData), ...stripUndefined(options) };
+  const mode = REVEAL_MODES[picked.mode] ? picked.mode : "plane";
+  const defaults = REVEAL_MODES[mode];
+  const duration = Number.isFinite(picked.duration) && picked.duration > 0 ? picked.duration : defaults.duration;
+  return {
+    ...defaults,
+    mode,
+    axis: parseAxis(picked.axis),
+    region: picked.region ?? null,
+    duration,
+    speed: picked.speed ?? defaults.speed ?? 80,
+    easing: EASINGS[picked.easing] ? picked.easing : defaults.easing,
+  };
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined && value !== ""));
+}
+
+function boxCorners({ min, max }) {
+  const corners = [];
+  for (const x of [min[0], max[0]]) for (const y of [min[1], max[1]]) for (const z of [min[2], max[2]]) corners.push([x, y, z]);
+  return corners;
+}
+
+/**
+ * Range the front sweeps for a resolved reveal over a model's bounds.
+ * @param {ReturnType<typeof resolveReveal>} reveal
+ * @param {{ min: number[], max: number[] }} bounds
+ * @param {number[]|null} origin - radial origin (e.g. a region position); bounds centre when null
+ * @returns {{ from: number, to: number, origin: number[], duration: number }}
+ */
+export function computeRevealRange(reveal, bounds, origin = null) {
+  const center = bounds.min.map((v, k) => (v + bounds.max[k]) / 2);
+  const o = origin ?? center;
+  let from;
+  let to;
+  if (reveal.metric === METRIC_PLANE) {
+    const projected = boxCorners(bounds).map((c) => c[0] * reveal.axis[0] + c[1] * reveal.axis[1] + c[2] * reveal.axis[2]);
+    from = Math.min(...projected) - 10;
+    to = Math.max(...projected) + 10;
+  } else if (reveal.metric === METRIC_RADIAL) {
+    from = 0;
+    to = Math.max(...boxCorners(bounds).map((c) => Math.hypot(c[0] - o[0], c[1] - o[1], c[2] - o[2]))) + 10;
+  } else {
+    from = -reveal.width;
+    to = 1 + reveal.width;
+  }
+  const duration = reveal.duration ?? (to - from) / reveal.speed;
+  return { from, to, origin: o, duration };
+}
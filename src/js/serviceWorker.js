@@ -0,0 +1,64 @@
+/**
+ * Registers the service worker (sw.js) that keeps the page, its scripts and the brain model for offline
+ * visits, and reports when a newer deploy has been installed behind the running one.
+ * Skipped on localhost, where the dev server's reloads would fight the cache, unless ?sw=1; ?sw=0 unregisters.
+ */
+
+const DEBUG = /[?&]debug=1/.test(location.search);
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+let reloading = false;
+
+/** Reload once the waiting worker has taken over, so the page and its caches match again. */
+function reloadOnTakeover() {
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading) return;
+    reloading = true;
+    location.reload();
+  });
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.url="sw.js"]
+ * @param {(update: { apply(): void }) => void} [opts.onUpdate] - a new version is installed and waiting; `apply()`
+ *   switches to it and reloads the page. Not called on the first install, which takes over silently.
+ * @returns {Promise<ServiceWorkerRegistration|null>} null when unsupported, switched off or registration fails
+ */
+export async function registerServiceWorker({ url = "sw.js", onUpdate = null } = {}) {
+  if (!("serviceWorker" in navigator)) return null;
+  const param = new URLSearchParams(location.search).get("sw");
+  if (param === "0") {
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    await Promise.all(registrations.map((registration) => registration.unregister()));
+    return null;
+  }
+  if (LOCAL_HOSTS.includes(location.hostname) && param !== "1") return null;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(url);
+  } catch (error) {
+    if (DEBUG) console.warn("[sw] registration failed", error);
+    return null;
+  }
+
+  const announce = (worker) => {
+    if (!navigator.serviceWorker.controller) return; // nothing older is running this page
+    if (DEBUG) console.log("[sw] update waiting");
+    onUpdate?.({
+      apply() {
+        reloadOnTakeover();
+        worker.postMessage({ type: "skipWaiting" });
+      },
+    });
+  };
+  if (registration.waiting) announce(registration.waiting);
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed") announce(worker);
+    });
+  });
+  return registration;
+}
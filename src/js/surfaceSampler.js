@@ -0,0 +1,155 @@
+/**
+ * Area-weighted surface sampling for the brain point cloud, shared by surfaceSampler.worker.js and Node
+ * scripts. Spreads `count` points over a triangle soup (9 floats per triangle) in proportion to triangle
+ * area, so density no longer follows the mesh's tessellation, with normals interpolated across each face.
+ *
+ * Optional blue-noise spacing uses best-candidate selection: each point is the candidate farthest from
+ * the points already placed (nearest-neighbour lookups through a spatial hash). Either way the output is
+ * in sampling order and every prefix is itself an even, area-weighted subset, so lower quality levels can
+ * draw fewer points with a draw range instead of resampling.
+ */
+import { createRandom } from "./random.js";
+
+const HASH_X = 73856093;
+const HASH_Y = 19349663;
+const HASH_Z = 83492791;
+const PROGRESS_INTERVAL = 0.05;
+
+/**
+ * @param {Float32Array} positions - triangle soup, xyz per corner
+ * @param {Float32Array|null} normals - per-corner normals (zero vectors allowed); null → face normals
+ * @param {Object} opts
+ * @param {number} opts.count - points to place
+ * @param {number} [opts.seed=1] - same seed, same points
+ * @param {boolean} [opts.blueNoise=false] - best-candidate spacing (slower: `candidates` lookups per point)
+ * @param {number} [opts.candidates=6]
+ * @param {(progress: { loaded: number, total: number }) => void} [opts.onProgress] - points placed so far
+ * @returns {{ positions: Float32Array, normals: Float32Array, area: number }}
+ */
+export function sampleSurface(positions, normals, { count, seed = 1, blueNoise = false, candidates = 6, onProgress } = {}) {
+  if (!Number.isInteger(count) || count < 0) throw new RangeError(`Sample count must be a non-negative integer, got ${count}`);
+  const triangles = Math.floor(positions.length / 9);
+
+  // Cumulative area per triangle; face normals kept for corners without usable normals
+  const cdf = new Float64Array(triangles);
+  const faceNormals = new Float32Array(triangles * 3);
+  let area = 0;
+  for (let t = 0; t < triangles; t++) {
+    const o = t * 9;
+    const ux = positions[o + 3] - positions[o];
+    const uy = positions[o + 4] - positions[o + 1];
+    const uz = positions[o + 5] - positions[o + 2];
+    const vx = positions[o + 6] - positions[o];
+    const vy = positions[o + 7] - positions[o + 1];
+    const vz = positions[o + 8] - positions[o + 2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz);
+    area += length / 2;
+    cdf[t] = area;
+    if (length > 0) faceNormals.set([nx / length, ny / length, nz / length], t * 3);
+  }
+
+  const outPositions = new Float32Array(count * 3);
+  const outNormals = new Float32Array(count * 3);
+  if (count === 0 || area === 0) return { positions: outPositions.subarray(0, 0), normals: outNormals.subarray(0, 0), area };
+
+  const random = createRandom(seed);
+
+  /** Uniform point on an area-picked triangle, written to `out` as [x, y, z, nx, ny, nz]. */
+  function samplePoint(out) {
+    const target = random() * area;
+    let lo = 0;
+    let hi = triangles - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (cdf[mid] <= target) lo = mid + 1;
+      else hi = mid;
+    }
+    const o = lo * 9;
+    const s = Math.sqrt(random());
+    const r = random();
+    const a = 1 - s;
+    const b = s * (1 - r);
+    const c = s * r;
+    for (let k = 0; k < 3; k++) out[k] = a * positions[o + k] + b * positions[o + 3 + k] + c * positions[o + 6 + k];
+    let nx = 0;
+    let ny = 0;
+    let nz = 0;
+    if (normals) {
+      nx = a * normals[o] + b * normals[o + 3] + c * normals[o + 6];
+      ny = a * normals[o + 1] + b * normals[o + 4] + c * normals[o + 7];
+      nz = a * normals[o + 2] + b * normals[o + 5] + c * normals[o + 8];
+    }
+    const length = Math.hypot(nx, ny, nz);
+    if (length > 1e-6) {
+      out[3] = nx / length;
+      out[4] = ny / length;
+      out[5] = nz / length;
+    } else {
+      out[3] = faceNormals[lo * 3];
+      out[4] = faceNormals[lo * 3 + 1];
+      out[5] = faceNormals[lo * 3 + 2];
+    }
+    return out;
+  }
+
+  // Spatial hash sized to the mean spacing of `count` points on this surface
+  const cell = Math.sqrt(area / count);
+  const grid = new Map();
+  const keyOf = (ix, iy, iz) => (ix * HASH_X) ^ (iy * HASH_Y) ^ (iz * HASH_Z);
+
+  /** Squared distance to the nearest placed point within one cell; Infinity when there is none. */
+  function nearest(x, y, z) {
+    const ix = Math.floor(x / cell);
+    const iy = Math.floor(y / cell);
+    const iz = Math.floor(z / cell);
+    let best = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const bucket = grid.get(keyOf(ix + dx, iy + dy, iz + dz));
+          if (!bucket) continue;
+          for (const i of bucket) {
+            const ex = outPositions[i * 3] - x;
+            const ey = outPositions[i * 3 + 1] - y;
+            const ez = outPositions[i * 3 + 2] - z;
+            best = Math.min(best, ex * ex + ey * ey + ez * ez);
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  function insert(i) {
+    const key = keyOf(Math.floor(outPositions[i * 3] / cell), Math.floor(outPositions[i * 3 + 1] / cell), Math.floor(outPositions[i * 3 + 2] / cell));
+    const bucket = grid.get(key);
+    if (bucket) bucket.push(i);
+    else grid.set(key, [i]);
+  }
+
+  const candidate = new Float32Array(6);
+  const chosen = new Float32Array(6);
+  const progressEvery = Math.max(1, Math.floor(count * PROGRESS_INTERVAL));
+  for (let i = 0; i < count; i++) {
+    samplePoint(chosen);
+    if (blueNoise) {
+      let bestDistance = nearest(chosen[0], chosen[1], chosen[2]);
+      for (let k = 1; k < candidates && bestDistance !== Infinity; k++) {
+        samplePoint(candidate);
+        const distance = nearest(candidate[0], candidate[1], candidate[2]);
+        if (distance > bestDistance) {
+          bestDistance = distance;
+          chosen.set(candidate);
+        }
+      }
+    }
+    outPositions.set(chosen.subarray(0, 3), i * 3);
+    outNormals.set(chosen.subarray(3, 6), i * 3);
+    if (blueNoise) insert(i);
+    if (onProgress && (i + 1) % progressEvery === 0) onProgress({ loaded: i + 1, total: count });
+  }
+  return { positions: outPositions, normals: outNormals, area };
+}
@@ -0,0 +1,36 @@
+/**
+ * Surface sampling off the main thread (module worker). Receives { positions, normals, options, debug } (see
+ * surfaceSampler.js) and posts:
+ *   { type: "progress", loaded, total }   while sampling (points)
+ *   { type: "perf", name, duration, detail }   with `debug`, before the result (brainModel.js records it)
+ *   { type: "result", positions, normals, area }
+ *   { type: "error", error }
+ * Typed array buffers in the result are transferred.
+ */
+import { sampleSurface } from "./surfaceSampler.js";
+
+self.onmessage = function (e) {
+  const { positions, normals = null, options, debug = false } = e.data ?? {};
+  if (!(positions instanceof Float32Array)) {
+    self.postMessage({ type: "error", error: "Expected positions as a Float32Array" });
+    return;
+  }
+  const start = performance.now();
+  let result;
+  try {
+    result = sampleSurface(positions, normals, {
+      ...options,
+      onProgress: ({ loaded, total }) => self.postMessage({ type: "progress", loaded, total }),
+    });
+  } catch (err) {
+    self.postMessage({ type: "error", error: err.message || String(err) });
+    return;
+  }
+  if (debug) {
+    const duration = performance.now() - start;
+    const detail = { points: result.positions.length / 3, blueNoise: Boolean(options?.blueNoise) };
+    console.log("[sampler worker] sampled", `${duration.toFixed(0)}ms`, detail);
+    self.postMessage({ type: "perf", name: "worker:surface-sample", duration, detail });
+  }
+  self.postMessage({ type: "result", ...result }, [result.positions.buffer, result.normals.buffer]);
+};
@@ -0,0 +1,196 @@
+/**
+ * Waitlist attribution: UTM parameters and a `ref` code captured from the landing URL and kept for
+ * the session, forwarded with the signup as hidden fields; optional marketing consent with the
+ * time it was given; and a shareable referral link for each new subscriber.
+ * Referral codes are random, not derived from the address (a derived code in a public link would let anyone
+ * check whether a given address signed up). A code issued by the waitlist service wins; otherwise one is
+ * generated on the first signup and kept on this device (localStorage), so resubmitting reuses it.
+ */
+import { canonicalEmail } from "./emailValidation.js";
+
+export const DEFAULT_ATTRIBUTION_FIELDS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "ref"];
+
+const STORAGE_KEY = "mk:attribution";
+const CODES_KEY = "mk:referral-codes";
+const MAX_VALUE_LENGTH = 200;
+const REF_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const REFERRAL_CODE_LENGTH = 10;
+
+function readSession(storage, key) {
+  try {
+    return JSON.parse(storage?.getItem(key) ?? "null");
+  } catch {
+    return null;
+  }
+}
+
+function writeSession(storage, key, value) {
+  try {
+    storage?.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage disabled: attribution still works for this page view
+  }
+}
+
+function clean(name, value) {
+  const text = String(value ?? "").trim().slice(0, MAX_VALUE_LENGTH);
+  if (!text) return null;
+  if (name === "ref" && !REF_PATTERN.test(text)) return null;
+  return text;
+}
+
+/**
+ * Reads the configured parameters from the URL. A URL that carries any of them starts a new touch
+ * (replaces what the session had); otherwise the session's earlier values are kept.
+ * @param {Object} [opts]
+ * @param {string[]} [opts.fields=DEFAULT_ATTRIBUTION_FIELDS]
+ * @param {Storage|null} [opts.storage=sessionStorage]
+ * @param {string} [opts.search=location.search]
+ * @returns {Record<string, string>}
+ */
+export function captureAttribution({
+  fields = DEFAULT_ATTRIBUTION_FIELDS,
+  storage = globalThis.sessionStorage ?? null,
+  search = location.search,
+} = {}) {
+  const params = new URLSearchParams(search);
+  const fromUrl = {};
+  for (const name of fields) {
+    const value = clean(name, params.get(name));
+    if (value) fromUrl[name] = value;
+  }
+  if (Object.keys(fromUrl).length) {
+    writeSession(storage, STORAGE_KEY, fromUrl);
+    return fromUrl;
+  }
+  const saved = readSession(storage, STORAGE_KEY) ?? {};
+  return Object.fromEntries(fields.filter((name) => saved[name]).map((name) => [name, saved[name]]));
+}
+
+/** New random referral code (10 base36 chars); getRandomValues works outside secure contexts too. */
+export function createReferralCode() {
+  const bytes = new Uint8Array(REFERRAL_CODE_LENGTH);
+  if (globalThis.crypto?.getRandomValues) crypto.getRandomValues(bytes);
+  else for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  return Array.from(bytes, (byte) => (byte % 36).toString(36)).join("");
+}
+
+/**
+ * Referral codes of the subscribers signed up from this device, by canonicalEmail (case and "+tag" ignored).
+ * @param {Storage|null} storage
+ */
+function createReferralCodes(storage) {
+  let codes = readSession(storage, CODES_KEY) ?? {};
+  return {
+    /** The address's code, creating (and keeping) one on first use. */
+    codeFor(email) {
+      const key = canonicalEmail(email);
+      if (!REF_PATTERN.test(codes[key] ?? "")) {
+        codes = { ...codes, [key]: createReferralCode() };
+        writeSession(storage, CODES_KEY, codes);
+      }
+      return codes[key];
+    },
+    /** Keep a code the waitlist service issued in place of ours. */
+    adopt(email, code) {
+      if (!REF_PATTERN.test(code ?? "")) return;
+      codes = { ...codes, [canonicalEmail(email)]: code };
+      writeSession(storage, CODES_KEY, codes);
+    },
+  };
+}
+
+export function referralLink(code, { base = `${location.origin}${location.pathname}`, param = "ref" } = {}) {
+  const url = new URL(base);
+  url.searchParams.set(param, code);
+  return url.toString();
+}
+
+/**
+ * Attribution for one form: keeps hidden inputs in sync and builds the extra submission fields.
+ * @param {HTMLFormElement} form
+ * @param {Object} [opts]
+ * @param {string[]} [opts.fields] - URL parameters to capture (default utm_* and ref)
+ * @param {Record<string, string>} [opts.fieldNames] - captured name → submitted field name (default: upper-cased, Brevo style)
+ * @param {HTMLInputElement|null} [opts.consentInput] - optional marketing-consent checkbox
+ * @param {string} [opts.consentField="OPT_IN"]
+ * @param {string} [opts.consentTimeField="OPT_IN_AT"]
+ * @param {{ param?: string, base?: string, field?: string }|false} [opts.referral] - referral links; `field` carries
+ *   the subscriber's own code with the signup (default "REFERRAL_CODE"); false disables
+ * @param {Storage|null} [opts.storage] - captured attribution (default sessionStorage)
+ * @param {Storage|null} [opts.codeStorage=localStorage] - subscribers' referral codes
+ */
+export function createWaitlistAttribution(form, {
+  fields = DEFAULT_ATTRIBUTION_FIELDS,
+  fieldNames = {},
+  consentInput = null,
+  consentField = "OPT_IN",
+  consentTimeField = "OPT_IN_AT",
+  referral = {},
+  storage,
+  codeStorage = globalThis.localStorage ?? null,
+} = {}) {
+  const captured = captureAttribution({ fields, storage });
+  const codes = referral ? createReferralCodes(codeStorage) : null;
+  const nameFor = (name) => fieldNames[name] ?? name.toUpperCase();
+  let consentAt = consentInput?.checked ? new Date().toISOString() : null;
+
+  function setHidden(name, value) {
+    let input = form.querySelector(`input[type="hidden"][name="${name}"]`);
+    if (value === null) {
+      input?.remove();
+      return;
+    }
+    if (!input) {
+      input = document.createElement("input");
+      input.type = "hidden";
+      input.name = name;
+      form.append(input);
+    }
+    input.value = value;
+  }
+
+  for (const [name, value] of Object.entries(captured)) setHidden(nameFor(name), value);
+
+  function onConsentChange() {
+    consentAt = consentInput.checked ? new Date().toISOString() : null;
+    setHidden(consentTimeField, consentAt);
+  }
+  consentInput?.addEventListener("change", onConsentChange);
+  if (consentAt) setHidden(consentTimeField, consentAt);
+
+  return {
+    consentInput,
+    /** Captured attribution, by URL parameter name. */
+    get captured() {
+      return { ...captured };
+    },
+    /**
+     * Extra fields to submit with `email`: attribution, consent (+ timestamp) and the subscriber's own referral code.
+     * @returns {Promise<Record<string, string>>}
+     */
+    async fieldsFor(email) {
+      const out = {};
+      for (const [name, value] of Object.entries(captured)) out[nameFor(name)] = value;
+      if (consentInput) {
+        out[consentField] = consentInput.checked ? "1" : "0"; // Brevo's OPT_IN checkbox convention
+        if (consentInput.checked && consentAt) out[consentTimeField] = consentAt;
+      }
+      if (codes) out[referral.field ?? "REFERRAL_CODE"] = codes.codeFor(email);
+      return out;
+    },
+    /**
+     * Shareable link for a confirmed subscriber, or null when referrals are off.
+     * @param {string} email
+     * @param {string|null} [issuedCode] - code the waitlist service returned for this subscriber, if any
+     */
+    linkFor(email, issuedCode = null) {
+      if (!codes) return null;
+      if (issuedCode) codes.adopt(email, issuedCode);
+      return referralLink(codes.codeFor(email), referral);
+    },
+    dispose() {
+      consentInput?.removeEventListener("change", onConsentChange);
+    },
+  };
+}
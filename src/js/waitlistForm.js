@@ -1,50 +1,261 @@
-function isValidEmail(value) {
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).toLowerCase().trim());
-}
+import { createWaitlistStatus } from "./waitlistStatus.js";
+import { WaitlistError } from "./waitlistProviders.js";
+import { createWaitlistQueue } from "./waitlistQueue.js";
+import { canonicalEmail, validateEmail } from "./emailValidation.js";
+import { createWaitlistAttribution } from "./waitlistAttribution.js";
+import { analytics } from "./analytics.js";
+
+const DEBUG = /[?&]debug=1/.test(location.search);
+// Failures worth queueing from the form; rate limiting and rejections are reported to the visitor instead
+const QUEUE_ON = new Set(["network", "server"]);
+const LIVE_VALIDATION_DELAY = 400;
 
 /**
- * Wires validation and UI feedback for the waitlist form.
- * Invalid: preventDefault + show error. Valid: show "Signing up…", hide form row/note, let Brevo handle submit.
+ * Wires validation, submission and status UI for the waitlist form.
+ * Validation (emailValidation.js) also runs as the visitor types, debounced and announced politely
+ * through the status line; a likely typo offers a one-click "Did you mean …?" correction.
+ * Attribution (waitlistAttribution.js: UTM/ref, consent, the subscriber's referral code) rides along
+ * as extra fields, and a confirmed signup is shown its shareable referral link.
+ * Submits through `provider` (waitlistProviders.js) and shows success only once it confirms.
+ * Signups that fail for transient reasons (or are made offline) go to a persistent retry queue
+ * (waitlistQueue.js) and are shown as pending until the queue gets them confirmed.
+ * Funnel steps go to the page's analytics bus (analytics.js) as "waitlist:*" events: first input, validation
+ * errors (reason codes), typo suggestions, submit attempts and their outcome. The address itself is never sent.
  * @param {Object} opts
  * @param {HTMLFormElement} opts.form
  * @param {HTMLElement} opts.messageElement - e.g. mk-waitlist-confirm
  * @param {HTMLInputElement} opts.emailInput
- * @param {HTMLElement|null} [opts.formRow] - optional; hidden when showing "Signing up…"
- * @param {HTMLElement|null} [opts.noteElement] - optional; hidden when showing "Signing up…"
+ * @param {{ name: string, submit(req: { email: string, fields: Object, signal: AbortSignal }): Promise<{ message?: string|null, referralCode?: string }> }} opts.provider
+ *   - a `referralCode` in the confirmation replaces the one generated on the page (waitlistAttribution.js)
+ * @param {HTMLElement|null} [opts.formRow] - optional; hidden while submitting and after success
+ * @param {HTMLElement|null} [opts.noteElement] - optional; hidden while submitting and after success
+ * @param {{ blocklist?: string[], domains?: string[] }} [opts.validation] - disposable-domain blocklist and typo-match domains
+ * @param {Object|false} [opts.attribution] - createWaitlistAttribution options (fields, fieldNames, consentInput, referral…);
+ *   the consent checkbox defaults to input[name="OPT_IN"] in the form; false disables attribution
+ * @param {Object} [opts.messages] - status copy (WAITLIST_MESSAGES shape), e.g. from i18n `tree("waitlist.messages", …)`
+ * @param {string} [opts.locale]
+ * @param {ReturnType<typeof createWaitlistQueue>|null} [opts.queue] - defaults to a localStorage queue for `provider`; null disables retries
+ * @param {(result: { email: string, provider: string, queued?: boolean, referralLink: string|null }) => void} [opts.onSuccess]
+ * @param {(error: WaitlistError) => void} [opts.onError]
+ * @returns {{ setMessages(messages: Object, locale?: string): void, dispose(): void }}
  */
-export function initWaitlistForm({ form, messageElement, emailInput, formRow = null, noteElement = null }) {
-  form.addEventListener("submit", (event) => {
-    const email = emailInput.value.trim();
-    messageElement.textContent = "";
-    messageElement.classList.remove("mk-waitlist-message--error", "mk-waitlist-message--success");
-    emailInput.classList.remove("mk-input--error");
-
-    if (!isValidEmail(email)) {
-      event.preventDefault();
-      event.stopImmediatePropagation(); // prevent Brevo's submit listener from sending the request (avoids 400 in console)
-      emailInput.classList.add("mk-input--error");
-      messageElement.textContent = "Please enter a valid email address.";
-      messageElement.classList.add("mk-waitlist-message--error");
-      messageElement.style.display = "block";
-      if (formRow) formRow.style.display = "";
-      if (noteElement) noteElement.style.display = "";
+export function initWaitlistForm({
+  form,
+  messageElement,
+  emailInput,
+  provider,
+  formRow = null,
+  noteElement = null,
+  validation = {},
+  messages,
+  locale,
+  attribution: attributionOptions = {},
+  queue = createWaitlistQueue({ provider }),
+  onSuccess = null,
+  onError = null,
+}) {
+  const status = createWaitlistStatus({
+    messageElement,
+    emailInput,
+    formRow,
+    noteElement,
+    submitButton: form.querySelector('[type="submit"]'),
+    messages,
+    locale,
+  });
+  const attribution = attributionOptions === false
+    ? null
+    : createWaitlistAttribution(form, {
+        consentInput: form.querySelector('input[type="checkbox"][name="OPT_IN"]'),
+        ...attributionOptions,
+      });
+  let inFlight = null;
+  let pendingKey = null; // subscriber (canonicalEmail) the status line currently reports as pending
+  let liveTimer = null;
+  let touched = false; // after a blur or submit attempt, live checks report incomplete input too
+  let suggestedFor = null; // address whose typo suggestion was already shown (submitting again sends it as typed)
+  let started = false; // "waitlist:start" sent
+  let liveReason = null; // last validation error reported while typing, so each is tracked once in a row
+
+  function track(name, props) {
+    analytics.track(`waitlist:${name}`, { provider: provider.name, ...props });
+  }
+
+  function invalid(reason, { live = false, target } = {}) {
+    if (!live || reason !== liveReason) track("invalid", { reason, live });
+    liveReason = live ? reason : null;
+    status.invalid(reason, { live, target });
+  }
+
+  function suggest(suggestion) {
+    track("suggestion");
+    status.suggest(suggestion, acceptSuggestion);
+  }
+
+  function acceptSuggestion(email) {
+    track("suggestion-accepted");
+    emailInput.value = email;
+    suggestedFor = null;
+    status.idle();
+    emailInput.focus();
+  }
+
+  /** As-you-type check: quiet until the address looks finished (or the field was left once). */
+  function checkLive() {
+    liveTimer = null;
+    const value = emailInput.value.trim();
+    if (!value) {
+      status.idle();
       return;
     }
+    const result = validateEmail(value, validation);
+    const looksComplete = /@[^@\s]+\.[^@\s]{2,}$/.test(value);
+    if (!result.valid) {
+      if (touched || looksComplete) invalid(result.reason, { live: true });
+      else status.idle();
+      return;
+    }
+    liveReason = null;
+    if (result.suggestion) {
+      suggestedFor = result.email;
+      suggest(result.suggestion);
+    } else {
+      status.idle();
+    }
+  }
 
-    messageElement.textContent = "Signing up…";
-    messageElement.classList.add("mk-waitlist-message--success");
-    messageElement.style.display = "block";
-    if (formRow) formRow.style.display = "none";
-    if (noteElement) noteElement.style.display = "none";
-    // Let Brevo handle submit; we show success once they've clicked through with a valid email.
-    setTimeout(() => {
-      messageElement.textContent = "You're on the list. We'll only email when there's something meaningful.";
-      messageElement.classList.remove("mk-waitlist-message--error");
-      messageElement.classList.add("mk-waitlist-message--success");
-      messageElement.style.display = "block";
-      if (formRow) formRow.style.display = "none";
-      if (noteElement) noteElement.style.display = "none";
-    }, 1500);
-  }, true); // capture phase so we run before Brevo's listener
-}
+  function onInput() {
+    if (!started) {
+      started = true;
+      track("start");
+    }
+    clearTimeout(liveTimer);
+    liveTimer = setTimeout(checkLive, LIVE_VALIDATION_DELAY);
+  }
+
+  function onBlur() {
+    if (!emailInput.value.trim()) return;
+    touched = true;
+  }
+
+  const unsubscribe = queue
+    ? [
+        queue.on("confirmed", ({ email, referralCode }) => {
+          if (canonicalEmail(email) !== pendingKey) return;
+          pendingKey = null;
+          confirmed(email, undefined, { queued: true, issuedCode: referralCode });
+        }),
+        queue.on("failed", ({ email, error }) => {
+          if (canonicalEmail(email) !== pendingKey) return;
+          pendingKey = null;
+          emailInput.value = email;
+          track("error", { code: error.code, queued: true });
+          status.error(error.code === "invalid" ? error : "unknown");
+          onError?.(error);
+        }),
+      ]
+    : [];
+
+  /** The provider confirmed: show success, then the referral link if one can be built (a failure only costs the link). */
+  function confirmed(email, message, { queued = false, issuedCode = null } = {}) {
+    track("success", { queued });
+    status.success(message);
+    let referralLink = null;
+    try {
+      referralLink = attribution?.linkFor(email, issuedCode) ?? null;
+    } catch (err) {
+      if (DEBUG) console.warn("[waitlist] referral link unavailable", err);
+    }
+    if (referralLink) status.referral(referralLink);
+    onSuccess?.({ email, provider: provider.name, queued, referralLink });
+  }
+
+  function markPending(email) {
+    pendingKey = canonicalEmail(email);
+    status.pending();
+  }
 
+  async function onSubmit(event) {
+    event.preventDefault();
+    if (inFlight) return;
+    clearTimeout(liveTimer);
+    touched = true;
+    const result = validateEmail(emailInput.value, validation);
+    if (!result.valid) {
+      invalid(result.reason);
+      return;
+    }
+    // Show a typo suggestion once; submitting the same address again sends it as typed
+    if (result.suggestion && suggestedFor !== result.email) {
+      suggestedFor = result.email;
+      suggest(result.suggestion);
+      return;
+    }
+    const email = result.email;
+    const consentInput = attribution?.consentInput;
+    if (consentInput?.required && !consentInput.checked) {
+      invalid("consent", { target: consentInput });
+      return;
+    }
+
+    inFlight = new AbortController();
+    let fields = {};
+    let response;
+    try {
+      fields = (await attribution?.fieldsFor(email)) ?? {};
+      // Already waiting in the queue, or no connection at all: (re)queue instead of failing outright
+      if (queue && (queue.has(email) || navigator.onLine === false)) {
+        track("submit", { queued: true, offline: navigator.onLine === false });
+        queue.enqueue(email, fields);
+        markPending(email);
+        queue.flush({ force: true });
+        return;
+      }
+      track("submit", { queued: false });
+      status.submitting();
+      response = await provider.submit({ email, fields, signal: inFlight.signal });
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      const error = err instanceof WaitlistError ? err : new WaitlistError("unknown", err?.message ?? String(err), { cause: err });
+      if (queue && QUEUE_ON.has(error.code)) {
+        track("queued", { code: error.code });
+        queue.enqueue(email, fields, { error });
+        markPending(email);
+        return;
+      }
+      track("error", { code: error.code, queued: false });
+      status.error(error);
+      onError?.(error);
+      return;
+    } finally {
+      inFlight = null;
+    }
+    // Outside the try: nothing after the provider's confirmation may turn it into an error or a retry
+    confirmed(email, response?.message ?? undefined, { issuedCode: response?.referralCode ?? null });
+  }
+
+  form.addEventListener("submit", onSubmit);
+  emailInput.addEventListener("input", onInput);
+  emailInput.addEventListener("blur", onBlur);
+
+  // A signup saved on an earlier visit is still pending: say so, then retry it
+  if (queue) {
+    const [saved] = queue.entries;
+    if (saved) markPending(saved.email);
+    queue.start();
+  }
+
+  return {
+    setMessages: status.setMessages,
+    dispose() {
+      form.removeEventListener("submit", onSubmit);
+      emailInput.removeEventListener("input", onInput);
+      emailInput.removeEventListener("blur", onBlur);
+      clearTimeout(liveTimer);
+      inFlight?.abort();
+      unsubscribe.forEach((off) => off());
+      queue?.stop();
+      attribution?.dispose();
+    },
+  };
+}
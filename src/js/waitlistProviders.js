@@ -0,0 +1,163 @@
+/**
+ * Waitlist submission providers. Each provider has the same shape:
+ *   { name, submit({ email, fields, signal }) → Promise<{ message?: string }> }
+ * and resolves only once the service has confirmed the signup. Failures reject with a
+ * WaitlistError whose `code` the status UI (waitlistStatus.js) turns into a message.
+ */
+
+const DEBUG = /[?&]debug=1/.test(location.search);
+
+/** @typedef {"invalid"|"duplicate"|"rate_limited"|"network"|"server"|"unknown"} WaitlistErrorCode */
+
+export class WaitlistError extends Error {
+  /**
+   * @param {WaitlistErrorCode} code
+   * @param {string} message - developer-facing detail; users see the status UI's copy for `code`
+   * @param {{ cause?: unknown, retryAfter?: number|null }} [opts] - retryAfter in seconds (rate limiting)
+   */
+  constructor(code, message, { cause, retryAfter = null } = {}) {
+    super(message, { cause });
+    this.name = "WaitlistError";
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const DUPLICATE_PATTERN = /already (exist|subscribed|registered|on)|duplicate/i;
+
+function retryAfterSeconds(res) {
+  const value = res.headers.get("Retry-After");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, Math.round((date - Date.now()) / 1000)) : null;
+}
+
+/** Shared HTTP status → error code mapping for JSON-ish endpoints. */
+function errorFromResponse(res, detail = "") {
+  const message = `${res.status} ${detail}`.trim();
+  if (res.status === 409 || DUPLICATE_PATTERN.test(detail)) return new WaitlistError("duplicate", message);
+  if (res.status === 429) return new WaitlistError("rate_limited", message, { retryAfter: retryAfterSeconds(res) });
+  if (res.status === 400 || res.status === 422) return new WaitlistError("invalid", message);
+  if (res.status >= 500) return new WaitlistError("server", message);
+  return new WaitlistError("unknown", message);
+}
+
+/** fetch() that turns transport failures into WaitlistError("network") and lets aborts through. */
+async function send(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new WaitlistError("network", `Request to ${url} failed`, { cause: error });
+  }
+}
+
+async function readJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Brevo (Sendinblue) subscription form, posted the way Brevo's own form script does (`?isAjax=1`),
+ * so we get a JSON verdict instead of a redirect.
+ * @param {Object} opts
+ * @param {string} opts.action - the sibforms.com form action URL
+ */
+export function createBrevoProvider({ action }) {
+  return {
+    name: "brevo",
+    async submit({ email, fields = {}, signal }) {
+      const body = new FormData();
+      body.set("EMAIL", email);
+      body.set("email_address_check", ""); // honeypot Brevo expects to be present and empty
+      for (const [key, value] of Object.entries(fields)) body.set(key, value);
+
+      const url = `${action}${action.includes("?") ? "&" : "?"}isAjax=1`;
+      const res = await send(url, { method: "POST", body, signal });
+      const json = await readJson(res);
+      if (!res.ok) throw errorFromResponse(res, json?.message ?? "");
+      if (json?.success === false) {
+        const detail = [json.message, ...Object.values(json.errors ?? {})].filter(Boolean).join(" ");
+        if (DUPLICATE_PATTERN.test(detail)) throw new WaitlistError("duplicate", detail);
+        if (json.errors?.EMAIL) throw new WaitlistError("invalid", detail);
+        throw new WaitlistError("unknown", detail || "Brevo rejected the submission");
+      }
+      if (!json) throw new WaitlistError("unknown", "Brevo returned no verdict");
+      return { message: null };
+    },
+  };
+}
+
+/**
+ * Generic JSON endpoint: POSTs { email, ...fields } and treats any 2xx as confirmed.
+ * 409 → duplicate, 429 → rate_limited (honours Retry-After), 400/422 → invalid, 5xx → server.
+ * @param {Object} opts
+ * @param {string} opts.url
+ * @param {Record<string, string>} [opts.headers]
+ */
+export function createFetchProvider({ url, headers = {} }) {
+  return {
+    name: "fetch",
+    async submit({ email, fields = {}, signal }) {
+      const res = await send(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json", ...headers },
+        body: JSON.stringify({ email, ...fields }),
+        signal,
+      });
+      const json = await readJson(res);
+      if (!res.ok) throw errorFromResponse(res, json?.message ?? json?.error ?? "");
+      return { message: typeof json?.message === "string" ? json.message : null };
+    },
+  };
+}
+
+/**
+ * In-memory provider for development and tests. Remembers addresses (second signup → duplicate).
+ * @param {Object} [opts]
+ * @param {number} [opts.delay=600] - simulated latency in ms
+ * @param {"success"|WaitlistErrorCode|((email: string) => "success"|WaitlistErrorCode)} [opts.outcome="success"]
+ */
+export function createMockProvider({ delay = 600, outcome = "success" } = {}) {
+  const seen = new Set();
+  return {
+    name: "mock",
+    async submit({ email, signal }) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delay);
+        signal?.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(new DOMException("Aborted", "AbortError"));
+        }, { once: true });
+      });
+      const result = typeof outcome === "function" ? outcome(email) : outcome;
+      if (result !== "success") throw new WaitlistError(result, `Mock provider outcome: ${result}`);
+      const key = email.toLowerCase();
+      if (seen.has(key)) throw new WaitlistError("duplicate", `Mock provider: ${email} already subscribed`);
+      seen.add(key);
+      return { message: null };
+    },
+  };
+}
+
+/**
+ * Picks a provider from the form's markup: data-provider="brevo"|"fetch"|"mock" (fetch reads
+ * data-endpoint, Brevo the form action). With `?debug=1`, `?waitlist=mock[&waitlistOutcome=code]` forces the mock
+ * for local work; without it the query is ignored, so a shared link can't fake signups on the live page.
+ * A misconfigured provider is logged and replaced by Brevo rather than failing page init.
+ * @param {HTMLFormElement} form
+ */
+export function resolveWaitlistProvider(form) {
+  const params = new URLSearchParams(location.search);
+  const name = (DEBUG && params.get("waitlist")) || form.dataset.provider || "brevo";
+  if (name === "mock") return createMockProvider({ outcome: params.get("waitlistOutcome") ?? "success" });
+  if (name === "fetch" && form.dataset.endpoint) return createFetchProvider({ url: form.dataset.endpoint });
+  if (name === "fetch") console.error('[waitlist] provider "fetch" needs data-endpoint on the form; using Brevo');
+  else if (name !== "brevo") console.error(`[waitlist] unknown provider "${name}"; using Brevo`);
+  return createBrevoProvider({ action: form.action });
+}
@@ -0,0 +1,191 @@
+/**
+ * Durable retry queue for waitlist signups that couldn't be confirmed (offline, flaky network,
+ * server trouble, rate limiting). Entries live in localStorage, one per address, and are retried
+ * with exponential backoff when the browser comes back online, the tab becomes visible again or
+ * the page is next opened. Permanent answers (invalid, duplicate) settle an entry for good.
+ */
+
+import { createEmitter } from "./emitter.js";
+import { WaitlistError } from "./waitlistProviders.js";
+import { canonicalEmail } from "./emailValidation.js";
+
+const STORAGE_KEY = "mk:waitlist-queue";
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+/** Codes worth retrying; anything else is the service's final word on that address. */
+export const RETRYABLE_CODES = new Set(["network", "server", "rate_limited", "unknown"]);
+
+/** localStorage when it works (it throws in some private modes), else memory for this page only. */
+function createStore(storage, key) {
+  let memory = [];
+  return {
+    read() {
+      try {
+        const raw = storage?.getItem(key);
+        return raw ? JSON.parse(raw) : memory;
+      } catch {
+        return memory;
+      }
+    },
+    write(entries) {
+      memory = entries;
+      try {
+        if (entries.length) storage?.setItem(key, JSON.stringify(entries));
+        else storage?.removeItem(key);
+      } catch {
+        // quota or disabled storage: memory copy still covers this page
+      }
+    },
+  };
+}
+
+function backoff(attempts, retryAfter) {
+  const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  const jittered = exponential * (0.8 + Math.random() * 0.4);
+  return Math.max(jittered, (retryAfter ?? 0) * 1000);
+}
+
+/**
+ * @param {Object} opts
+ * @param {{ name: string, submit: Function }} opts.provider
+ * @param {Storage|null} [opts.storage=localStorage]
+ * @param {string} [opts.storageKey]
+ * @param {number} [opts.maxAttempts=10]
+ * @returns queue with events "pending" ({ email, attempts, nextAt }), "confirmed" ({ email, referralCode?, duplicate? }), "failed" ({ email, error })
+ */
+export function createWaitlistQueue({
+  provider,
+  storage = globalThis.localStorage ?? null,
+  storageKey = STORAGE_KEY,
+  maxAttempts = MAX_ATTEMPTS,
+}) {
+  const events = createEmitter();
+  const store = createStore(storage, storageKey);
+  let timer = null;
+  let flushing = null;
+  let started = false;
+
+  // One entry per subscriber: addresses that differ only in case or a "+tag" share it (emailValidation.js)
+  const keyOf = (entry) => entry.key ?? canonicalEmail(entry.email); // entries saved before keys existed
+
+  function update(key, patch) {
+    const entries = store.read();
+    const index = entries.findIndex((entry) => keyOf(entry) === key);
+    if (index === -1) return;
+    if (patch === null) entries.splice(index, 1);
+    else entries[index] = { ...entries[index], ...patch };
+    store.write(entries);
+  }
+
+  /**
+   * Save a signup for retry. Repeat submissions of the same subscriber (see canonicalEmail) update the one
+   * entry (the address as last typed, fresh fields, due now) instead of queueing it twice.
+   */
+  function enqueue(email, fields = {}, { error = null } = {}) {
+    const key = canonicalEmail(email);
+    const entries = store.read();
+    const existing = entries.find((entry) => keyOf(entry) === key);
+    const attempts = existing?.attempts ?? (error ? 1 : 0);
+    const nextAt = error ? Date.now() + backoff(attempts, error.retryAfter) : Date.now();
+    const entry = { key, email: email.trim(), fields, attempts, nextAt, createdAt: existing?.createdAt ?? Date.now(), lastError: error?.code ?? null };
+    store.write(existing ? entries.map((e) => (keyOf(e) === key ? entry : e)) : [...entries, entry]);
+    events.emit("pending", { email: entry.email, attempts, nextAt });
+    schedule();
+    return entry;
+  }
+
+  function has(email) {
+    const key = canonicalEmail(email);
+    return store.read().some((entry) => keyOf(entry) === key);
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (!started) return;
+    const entries = store.read();
+    if (!entries.length) return;
+    const due = Math.min(...entries.map((entry) => entry.nextAt));
+    timer = setTimeout(() => flush(), Math.max(0, due - Date.now()));
+  }
+
+  async function attempt(entry) {
+    try {
+      const response = await provider.submit({ email: entry.email, fields: entry.fields });
+      update(keyOf(entry), null);
+      events.emit("confirmed", { email: entry.email, referralCode: response?.referralCode ?? null });
+    } catch (err) {
+      const error = err instanceof WaitlistError ? err : new WaitlistError("unknown", err?.message ?? String(err), { cause: err });
+      if (error.code === "duplicate") {
+        update(keyOf(entry), null);
+        events.emit("confirmed", { email: entry.email, duplicate: true });
+        return;
+      }
+      const attempts = entry.attempts + 1;
+      if (!RETRYABLE_CODES.has(error.code) || attempts >= maxAttempts) {
+        update(keyOf(entry), null);
+        events.emit("failed", { email: entry.email, error });
+        return;
+      }
+      const nextAt = Date.now() + backoff(attempts, error.retryAfter);
+      update(keyOf(entry), { attempts, nextAt, lastError: error.code });
+      events.emit("pending", { email: entry.email, attempts, nextAt });
+    }
+  }
+
+  /**
+   * Retry every due entry (all of them with `force`, e.g. on reconnect). Runs one flush at a time.
+   * @returns {Promise<void>}
+   */
+  function flush({ force = false } = {}) {
+    if (flushing) return flushing;
+    if (globalThis.navigator?.onLine === false) return Promise.resolve();
+    flushing = (async () => {
+      const now = Date.now();
+      for (const entry of store.read()) {
+        if (force || entry.nextAt <= now) await attempt(entry);
+      }
+    })().finally(() => {
+      flushing = null;
+      schedule();
+    });
+    return flushing;
+  }
+
+  const onOnline = () => flush({ force: true });
+  const onVisibility = () => {
+    if (document.visibilityState === "visible") flush();
+  };
+
+  /** Begin retrying: now (page opened), on reconnect and when the tab is shown again. */
+  function start() {
+    if (started) return;
+    started = true;
+    window.addEventListener("online", onOnline);
+    document.addEventListener("visibilitychange", onVisibility);
+    flush({ force: true });
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+    window.removeEventListener("online", onOnline);
+    document.removeEventListener("visibilitychange", onVisibility);
+  }
+
+  return {
+    enqueue,
+    has,
+    flush,
+    start,
+    stop,
+    on: events.on,
+    off: events.off,
+    get entries() {
+      return store.read().map((entry) => ({ ...entry }));
+    },
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * The waitlist's status UI in one place: the confirm/error line, input error state and
+ * showing/hiding the form row and note. Success copy only appears when a provider confirmed;
+ * a signup waiting in the retry queue (waitlistQueue.js) is shown as pending, never as success.
+ * Copy is English by default; i18n.js overlays catalog entries under "waitlist.messages".
+ */
+
+import { DEFAULT_LOCALE, formatMessage } from "./i18n.js";
+
+export const WAITLIST_MESSAGES = {
+  // keyed by emailValidation.js `reason`
+  validation: {
+    empty: "Please enter your email address.",
+    format: "Please enter a valid email address.",
+    local: "The part before the @ has characters we can't accept.",
+    domain: "Please check the part after the @ — that domain doesn't look right.",
+    disposable: "Disposable addresses can't join the waitlist. Please use one you'll keep.",
+    consent: "Please tick the box to confirm you'd like to hear from us.",
+  },
+  referral: { label: "Share your invite link:", copy: "Copy", copied: "Copied" },
+  suggestion: "Did you mean {email}?",
+  submitting: "Signing up…",
+  success: "You're on the list. We'll only email when there's something meaningful.",
+  pending: "Not confirmed yet: we've saved your signup on this device and will send it as soon as the connection is back.",
+  failed: "We couldn't complete your saved signup. Please try again.",
+  errors: {
+    invalid: "That address was rejected. Please check it and try again.",
+    duplicate: "You're already on the list — no need to sign up again.",
+    rate_limited: "Too many attempts right now. Please wait a minute and try again.",
+    rate_limited_wait: {
+      one: "Too many attempts right now. Please try again in {count} second.",
+      other: "Too many attempts right now. Please try again in {count} seconds.",
+    },
+    network: "We couldn't reach the server. Check your connection and try again.",
+    server: "Our signup service is having trouble. Please try again shortly.",
+    unknown: "Something went wrong. Please try again.",
+  },
+};
+
+/**
+ * @param {Object} opts
+ * @param {HTMLElement} opts.messageElement - live region (role="status") for every state
+ * @param {HTMLInputElement} opts.emailInput
+ * @param {HTMLElement|null} [opts.formRow] - hidden while submitting and after success
+ * @param {HTMLElement|null} [opts.noteElement] - hidden while submitting and after success
+ * @param {HTMLButtonElement|null} [opts.submitButton] - disabled while submitting
+ * @param {typeof WAITLIST_MESSAGES} [opts.messages]
+ * @param {string} [opts.locale] - for plural rules and number formatting
+ */
+export function createWaitlistStatus({
+  messageElement,
+  emailInput,
+  formRow = null,
+  noteElement = null,
+  submitButton = null,
+  messages: initialMessages = WAITLIST_MESSAGES,
+  locale: initialLocale = DEFAULT_LOCALE,
+}) {
+  let messages = initialMessages;
+  let locale = initialLocale;
+  const describedBy = emailInput.getAttribute("aria-describedby") ?? "";
+  let referralElement = null;
+
+  function setFormVisible(visible) {
+    if (formRow) formRow.style.display = visible ? "" : "none";
+    if (noteElement) noteElement.style.display = visible ? "" : "none";
+  }
+
+  function show(text, tone, { polite = false } = {}) {
+    // Any new status replaces the referral link; success adds it back through referral()
+    referralElement?.remove();
+    referralElement = null;
+    messageElement.textContent = text;
+    messageElement.classList.toggle("mk-waitlist-message--error", tone === "error");
+    messageElement.classList.toggle("mk-waitlist-message--success", tone === "success");
+    messageElement.classList.toggle("mk-waitlist-message--pending", tone === "pending");
+    // Errors interrupt; progress and success wait their turn
+    messageElement.setAttribute("aria-live", tone === "error" && !polite ? "assertive" : "polite");
+    messageElement.style.display = text ? "block" : "none";
+  }
+
+  let invalidTarget = null; // another control (e.g. consent checkbox) flagged by invalid()
+
+  function setInputError(invalid) {
+    invalidTarget?.removeAttribute("aria-invalid");
+    invalidTarget = null;
+    emailInput.classList.toggle("mk-input--error", invalid);
+    if (invalid) {
+      emailInput.setAttribute("aria-invalid", "true");
+      if (messageElement.id) emailInput.setAttribute("aria-describedby", `${describedBy} ${messageElement.id}`.trim());
+    } else {
+      emailInput.removeAttribute("aria-invalid");
+      if (describedBy) emailInput.setAttribute("aria-describedby", describedBy);
+      else emailInput.removeAttribute("aria-describedby");
+    }
+  }
+
+  function setBusy(busy) {
+    if (submitButton) submitButton.disabled = busy;
+    emailInput.closest("form")?.setAttribute("aria-busy", String(busy));
+  }
+
+  return {
+    /** Swap copy (e.g. on mk:localechange); takes effect from the next status change. */
+    setMessages(next, nextLocale = locale) {
+      messages = next;
+      locale = nextLocale;
+    },
+    idle() {
+      show("", null);
+      setInputError(false);
+      setBusy(false);
+      setFormVisible(true);
+    },
+    /**
+     * @param {string} [reason] - emailValidation.js reason, or literal text
+     * @param {{ live?: boolean, target?: HTMLElement }} [opts] - live (as-you-type) checks are announced politely and
+     *   don't move focus; `target` flags another control than the email input
+     */
+    invalid(reason = "format", { live = false, target = emailInput } = {}) {
+      show(messages.validation[reason] ?? reason, "error", { polite: live });
+      setInputError(target === emailInput);
+      if (target !== emailInput) {
+        target.setAttribute("aria-invalid", "true");
+        invalidTarget = target;
+      }
+      setBusy(false);
+      setFormVisible(true);
+      if (!live) target.focus();
+    },
+    /** "Did you mean …?" with the corrected address as a one-click button. */
+    suggest(email, onAccept) {
+      const [before, after = ""] = messages.suggestion.split("{email}");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "mk-waitlist-suggestion";
+      button.textContent = email;
+      button.addEventListener("click", () => onAccept(email), { once: true });
+      show("", null, { polite: true });
+      messageElement.replaceChildren(before, button, after);
+      messageElement.style.display = "block";
+      setInputError(false);
+      setBusy(false);
+      setFormVisible(true);
+    },
+    submitting() {
+      show(messages.submitting, "success");
+      setInputError(false);
+      setBusy(true);
+      setFormVisible(false);
+    },
+    /** Saved for retry but not confirmed; the form stays hidden so it isn't submitted twice. */
+    pending(text = messages.pending) {
+      show(text, "pending");
+      setInputError(false);
+      setBusy(false);
+      setFormVisible(false);
+    },
+    success(text = messages.success) {
+      show(text, "success");
+      setInputError(false);
+      setBusy(false);
+      setFormVisible(false);
+    },
+    /** Shareable referral link under the success message, with a copy button. */
+    referral(url) {
+      referralElement?.remove();
+      referralElement = document.createElement("p");
+      referralElement.className = "mk-waitlist-referral";
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.className = "mk-input mk-waitlist-referral-link";
+      input.readOnly = true;
+      input.value = url;
+      label.append(messages.referral.label, input);
+      const copy = document.createElement("button");
+      copy.type = "button";
+      copy.className = "mk-waitlist-suggestion";
+      copy.textContent = messages.referral.copy;
+      copy.addEventListener("click", async () => {
+        try {
+          await navigator.clipboard.writeText(url);
+          copy.textContent = messages.referral.copied;
+        } catch {
+          input.select(); // clipboard blocked: leave it selected for a manual copy
+        }
+      });
+      referralElement.append(label, copy);
+      messageElement.after(referralElement);
+    },
+    /** @param {{ code?: string }|string} error - a WaitlistError or an error code */
+    error(error) {
+      const code = typeof error === "string" ? error : error?.code;
+      // A duplicate is good news for the visitor: they're already signed up
+      if (code === "duplicate") {
+        this.success(messages.errors.duplicate);
+        return;
+      }
+      const retryAfter = code === "rate_limited" ? Math.ceil(error?.retryAfter ?? 0) : 0;
+      const text = retryAfter > 0
+        ? formatMessage(messages.errors.rate_limited_wait, { count: retryAfter }, locale)
+        : messages.errors[code] ?? messages.errors.unknown;
+      show(text, "error");
+      setInputError(code === "invalid");
+      setBusy(false);
+      setFormVisible(true);
+      if (code === "invalid") emailInput.focus();
+    },
+  };
+}
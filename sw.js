@@ -0,0 +1,111 @@
+/**
+ * Service worker: repeat visits load from cache and work offline (except the waitlist submission, which
+ * always goes to the network). What gets stored comes from precache-manifest.js (scripts/precache-manifest.js):
+ *   shell   page, styles, scripts, locales   cache-first, cache named by content hash
+ *   vendor  three.js, GSAP (src/vendor/)      cache-first, cache named by content hash
+ *   model   brain models                       cache-first, best-effort (a missing model doesn't block install)
+ *   fonts   Google Fonts CSS and files         stale-while-revalidate
+ * A new deploy installs next to the running version and waits; the page offers the update (serviceWorker.js)
+ * and sends "skipWaiting" to switch. Activation deletes every mk- cache the new manifest doesn't name.
+ */
+importScripts("precache-manifest.js");
+
+const CACHE_PREFIX = "mk-";
+const FONTS_CACHE = `${CACHE_PREFIX}fonts-v1`;
+const FONT_ORIGINS = ["https://fonts.googleapis.com", "https://fonts.gstatic.com"];
+
+const { shell, vendor, model } = self.PRECACHE_MANIFEST;
+const CACHES = {
+  shell: `${CACHE_PREFIX}shell-${shell.version}`,
+  vendor: `${CACHE_PREFIX}vendor-${vendor.version}`,
+  model: `${CACHE_PREFIX}model-${model.version}`,
+};
+const CURRENT_CACHES = new Set([...Object.values(CACHES), FONTS_CACHE]);
+
+/** Adds what `cacheName` doesn't hold yet; cache names are versioned, so held entries are current. */
+async function precache(cacheName, files, { optional = false } = {}) {
+  const cache = await caches.open(cacheName);
+  const missing = [];
+  for (const file of files) if (!(await cache.match(file))) missing.push(file);
+  if (!optional) return cache.addAll(missing);
+  await Promise.allSettled(missing.map((file) => cache.add(file)));
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true }); // workers carry the page's query string
+  return cached ?? fetch(request);
+}
+
+async function navigate(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const page = await caches.match("index.html");
+    if (page) return page;
+    throw error;
+  }
+}
+
+/** HEAD answered from the cached GET when offline, so the geometry cache can still find its version. */
+async function head(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request.url, { ignoreSearch: true });
+    if (!cached) throw error;
+    return new Response(null, { status: cached.status, statusText: cached.statusText, headers: cached.headers });
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(FONTS_CACHE);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok || response.type === "opaque") cache.put(event.request, response.clone());
+    return response;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([
+      precache(CACHES.shell, shell.files),
+      precache(CACHES.vendor, vendor.files),
+      precache(CACHES.model, model.files, { optional: true }),
+    ])
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((name) => name.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.has(name)).map((name) => caches.delete(name)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skipWaiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (FONT_ORIGINS.includes(url.origin)) {
+    if (request.method === "GET") event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  // Other origins (waitlist providers) and non-GET requests go straight to the network
+  if (url.origin !== self.location.origin) return;
+  if (request.method === "HEAD") event.respondWith(head(request));
+  else if (request.method !== "GET") return;
+  else if (request.mode === "navigate") event.respondWith(navigate(request));
+  else event.respondWith(cacheFirst(request));
+});